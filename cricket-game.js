@@ -4,6 +4,8 @@ import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { MatchEngine, resolveReview, ballsToOverFraction, BALLS_PER_OVER } from './match-engine.js';
+import { SeededRandom, createRandomSeed, createDailySeed } from './seeded-random.js';
 // Cricket Game - Three.js Implementation
 class CricketGame {
     constructor() {
@@ -48,7 +50,114 @@ class CricketGame {
             gravity: -9.81,
             bounceCoefficient: 0.5, // Better bounce for visible cricket ball movement
             friction: 0.92, // Slight friction adjustment
-            isMoving: false
+            isMoving: false,
+            spin: { axis: new THREE.Vector3(0, 0, 0), rate: 0 }, // ✅ NEW: Revolutions per second about a unit axis
+            swing: { lateral: 0, seamUpright: 0 } // ✅ NEW: Swing per (m/s)² of pace until pitching, seam position for the bounce
+        };
+        
+        // ✅ NEW: Swing and seam for pace bowling. The ball's condition (age in overs, shine, roughness)
+        // decides how much it swings and which way: a new ball swings towards where the seam points,
+        // an old ball with one rough side reverses towards the shine
+        this.swingSystem = {
+            swingCoefficient: 0.012, // Sideways acceleration per (m/s)² of pace at a 90° seam angle
+            shineLifespan: 15,       // Overs until the new ball's shine (conventional swing) has gone
+            reverseSwingAge: 12,     // Overs before the rough side is rough enough to reverse
+            reverseBuildUp: 10,      // Overs from the first hint of reverse to full reverse
+            seamMovement: 0.8        // Sideways kick (m/s) off the pitch with a bolt-upright seam, either way
+        };
+        
+        // ✅ NEW: Spin bowling - the spin axis and rate give drift and dip in the air and turn off the pitch.
+        // Axis components: x = top-spin (+) / back-spin (-), y = drift to the off (+) or leg (-) side,
+        // z = turn from off to leg (+, off-break) or leg to off (-, leg-break) on the bounce
+        this.spinSystem = {
+            pitchGrip: 0.25,             // Share of the ball's surface speed turned into sideways kick on pitching
+            spinRetainedOnBounce: 0.3,   // Revs left after each bounce
+            ballRadius: 0.036,
+            // Which variations the AI picks for each kind of spinner
+            spinnerTypes: {
+                offSpin: { name: 'Off-spinner', weights: { offSpin: 55, armBall: 25, doosra: 20 } },
+                legSpin: { name: 'Leg-spinner', weights: { legSpin: 60, googly: 25, armBall: 15 } },
+                leftArmOrthodox: { name: 'Left-arm orthodox', weights: { legSpin: 65, armBall: 35 } } // Turns away from the right-hander
+            }
+        };
+        
+        // ✅ NEW: Pitch conditions - picked in the menu (window.pendingPitchType) before the game starts. Each type sets how high and how quickly
+        // a delivery comes off the surface, how much spin and seam it gives, and how uneven the bounce is.
+        // The pitch wears as balls are bowled through a match, and the bowlers' footmarks roughen up
+        this.pitchSystem = {
+            type: 'flatRoad',
+            ballsBowled: 0, // Across the whole match (both innings)
+            roughGrip: 1.0,        // Extra spin grip in a fully worn footmark
+            roughVariability: 0.3, // Extra bounce variation in a fully worn footmark
+            // Rough from the bowlers' follow-through, short of a length at the batter's end
+            footmarks: [
+                { x: -0.8, z: 6.4, radius: 0.45 }, // Outside the right-hander's leg stump (right-arm seamers)
+                { x: 0.8, z: 6.8, radius: 0.35 }   // Outside off (left-arm seamers)
+            ],
+            // Cracks open as the pitch wears (each from its own wear level) and make the bounce uneven
+            cracks: [],
+            crackContact: 0.06,    // Distance (m) from a crack at which the ball's landing is affected
+            crackUnevenChance: 0.7, // Chance of an uneven bounce off a fully open crack
+            roughUnevenChance: 0.25, // ... and off fully worn rough
+            surface: null, // { canvas, texture } - the deterioration texture drawn over the pitch
+            types: {
+                greenSeamer: {
+                    name: 'Green seamer',
+                    color: 0xB5C77A,
+                    bounce: 0.6,         // Vertical speed kept off the surface
+                    paceRetention: 0.95, // Horizontal speed kept off the surface
+                    spinGrip: 0.6,       // Multiplies the spinner's turn
+                    seam: 1.5,           // Multiplies seam movement
+                    variability: 0.1,    // Spread of bounce (and pace) from ball to ball
+                    wearsAfter: 120,     // Overs until fully worn
+                    cracks: 6,           // Cracks in the crack map
+                    report: 'Grass left on it - extra bounce and carry, and the seamers will get it to nip around. Little for the spinners until it dries out.'
+                },
+                flatRoad: {
+                    name: 'Flat road',
+                    color: 0xDEB887,
+                    bounce: 0.5,
+                    paceRetention: 0.92,
+                    spinGrip: 0.8,
+                    seam: 0.7,
+                    variability: 0.05,
+                    wearsAfter: 150,
+                    cracks: 4,
+                    report: 'Hard, dry and true - the ball comes on to the bat. A batting day; bowlers will need patience.'
+                },
+                dustyTurner: {
+                    name: 'Dusty turner',
+                    color: 0xE3C99A,
+                    bounce: 0.45,
+                    paceRetention: 0.86,
+                    spinGrip: 1.6,
+                    seam: 0.6,
+                    variability: 0.15,
+                    wearsAfter: 40,
+                    cracks: 14,
+                    report: 'Bare and crumbling already - low, slow bounce and sharp turn. It will break up quickly; the footmarks will be a handful.'
+                },
+                twoPaced: {
+                    name: 'Two-paced',
+                    color: 0xC9A878,
+                    bounce: 0.5,
+                    paceRetention: 0.9,
+                    spinGrip: 1.0,
+                    seam: 1.0,
+                    variability: 0.35,
+                    wearsAfter: 80,
+                    cracks: 10,
+                    report: 'Patchy - some balls will stop on the batter, others skid through. Hard to time strokes; play late.'
+                }
+            }
+        };
+        
+        // ✅ NEW: Air resistance on the ball. Drag slows a struck ball in proportion to its speed squared,
+        // and the Magnus force pushes a spinning ball across its line of flight (back-spin holds a lofted
+        // shot up, top-spin dips a drive, side-spin curls it; a spinner's drift and dip in the air)
+        this.aerodynamics = {
+            dragCoefficient: 0.005,  // Deceleration per (m/s)² of speed: ½ x air density x Cd x area / mass, rounded down
+            magnusCoefficient: 3e-4  // Acceleration per (rad/s x m/s) of spin across the line of flight
         };
         
         // Ball trail system
@@ -70,47 +179,128 @@ class CricketGame {
             swingDuration: 300, // milliseconds
             batSpeed: 0,
             shotType: 'straight', // Track current shot type
+            placedShot: null, // ✅ NEW: Shot built from the aim point when shotType is 'placed'
             timing: 'perfect' // Track timing quality
         };
         this.batCollisionSphere = null;
         
+        // ✅ NEW: Footwork - commit to the front foot, the back foot or charge down the pitch once the ball is
+        // bowled. It moves the contact point (and the bat with it), and playing the right footwork to the
+        // length tightens the timing; the wrong footwork loosens it
+        this.footwork = {
+            move: null,       // null (stays put), 'front', 'back' or 'charge'
+            homeZ: 9,         // Batter's guard position
+            targetZ: 9,
+            offsets: { front: -0.6, back: 0.35, charge: -2.2 }, // Metres along the pitch (- = towards the bowler)
+            stepSpeed: 6,     // m/s into the shot
+            recoverSpeed: 4,  // m/s scrambling back after missing a charge
+            reactionTime: 0.5, // Seconds after the ball passes before the batter turns back
+            recoverIn: null,  // Countdown to turning back (null = not stranded)
+            groundingReach: 0.6, // Back foot / bat behind the body - the batter is in while body z + reach is past the crease
+            // Timing factor for each footwork against each length
+            matchups: {
+                none: { full: 1.0, good: 1.0, short: 1.0 },
+                front: { full: 1.1, good: 1.05, short: 0.75 },
+                back: { full: 0.75, good: 1.0, short: 1.1 },
+                charge: { full: 1.15, good: 0.9, short: 0.6 }
+            },
+            // Time for the keeper to gather and break the wicket: standing up to the spinners, back to the quicks
+            stumpingTime: { spin: 0.25, pace: 1.0 },
+            // A big swing and a miss can carry the batter forward out of the crease
+            overbalance: { minPower: 2.2, chance: 0.35, lurch: 1.0, recoverTime: 0.35 },
+            overbalanced: false,
+            overbalanceChecked: false
+        };
+        
+        // ✅ NEW: Wicket keeper - stands up to the stumps for the spinners, back for the quicks
+        this.keeperSystem = {
+            standBackZ: 15,
+            standUpZ: 11,
+            collectRadius: 3.0, // Reach for gathering a missed delivery
+            maxHeight: 3.0      // Anything higher flies over the keeper
+        };
+        
+        // ✅ NEW: Batting ratings turn a player's 0-100 ratings into multipliers (rating 0 -> min, 100 -> max)
+        this.battingRatings = {
+            defaults: { timing: 50, power: 50, pace: 50, spin: 50, zones: [] }, // Players without ratings
+            timingWindow: { min: 0.7, max: 1.3 }, // Tolerance on swing timing - wider is easier to middle
+            power: { min: 0.8, max: 1.2 },        // Bat speed through the ball
+            matchup: { min: 0.85, max: 1.15 },    // Timing factor against pace or spin
+            zoneBonus: { power: 1.1, accuracy: 0.1 } // Shots into a preferred zone ('offSide', 'legSide', 'straight', 'behind')
+        };
+        
+        // ✅ NEW: Confidence - a new batter is scratchy until they get their eye in
+        this.confidence = {
+            levels: new WeakMap(), // Batting card row -> 0 (all at sea) to 1 (seeing it like a football)
+            start: 0.2,            // Walking out to bat
+            perBallFaced: 0.03,    // Every delivery survived
+            goodHit: { perfect: 0.08, good: 0.04 }, // Extra for middling it
+            playAndMiss: -0.1,
+            edge: -0.12,
+            bandShift: 0.05        // Perfect/good timing bands move by up to this much at 0 or 1 confidence
+        };
+        
+        // ✅ NEW: Handedness - everything below is written for a right-hander and mirrored in X for a left-hander
+        this.handedness = {
+            striker: 'right', // How the batter on strike stands ('right' or 'left')
+            field: 'right'    // Which batter the field (and the bowler's lines) are currently set for
+        };
+        
         // Expanded shot system
         // Note: In this coordinate system:
         // - Batsman is at (0, 0, 9) facing negative Z (toward bowler at (0, 0, -9))
         // - Positive X = Off-side (right side for right-handed batsman)  
         // - Negative X = Leg-side (left side for right-handed batsman)
+        // - Directions are for a right-hander; hitBall mirrors X for a left-hander (see getHandSign)
         // - Negative Z = Toward bowler/straight shots
         // - Positive Z = Behind batsman/behind wicket shots
+        // ✅ NEW: spin (rev/s) off the bat - top: top-spin (+) / back-spin (-), side: curls the ball to its
+        // right (+) or left (-) as seen from behind it
         this.shotTypes = {
             // Straight shots
-            defensive: { power: 0.3, direction: [0, 0, -1], height: 0.1, description: 'Defensive Block' },
-            straightDrive: { power: 1.7, direction: [0, 0, -1], height: 0.5, description: 'Straight Drive' },
-            loftedStraight: { power: 2.5, direction: [0, 0, -1], height: 0.6, description: 'Lofted Straight' },
+            defensive: { power: 0.3, direction: [0, 0, -1], height: 0.1, spin: { top: -5, side: 0 }, description: 'Defensive Block' },
+            straightDrive: { power: 1.7, direction: [0, 0, -1], height: 0.5, spin: { top: 30, side: 0 }, description: 'Straight Drive' },
+            loftedStraight: { power: 2.5, direction: [0, 0, -1], height: 0.6, spin: { top: -35, side: 0 }, description: 'Lofted Straight' },
             
             // Off-side shots (right side for right-handed batsman) - Positive X
-            cutShot: { power: 1.8, direction: [1, 0, -0.3], height: 0.15, description: 'Cut Shot' },
-            squareCut: { power: 2.0, direction: [1, 0, 0.2], height: 0.2, description: 'Square Cut' },
-            upperCut: { power: 2.2, direction: [0.8, 0, 0.4], height: 0.5, description: 'Upper Cut' },
-            coverDrive: { power: 1.8, direction: [0.8, 0, -0.6], height: 0.25, description: 'Cover Drive' },
+            cutShot: { power: 1.8, direction: [1, 0, -0.3], height: 0.15, spin: { top: -10, side: 10 }, description: 'Cut Shot' },
+            squareCut: { power: 2.0, direction: [1, 0, 0.2], height: 0.2, spin: { top: -8, side: 12 }, description: 'Square Cut' },
+            upperCut: { power: 2.2, direction: [0.8, 0, 0.4], height: 0.5, spin: { top: -20, side: 10 }, description: 'Upper Cut' },
+            coverDrive: { power: 1.8, direction: [0.8, 0, -0.6], height: 0.25, spin: { top: 25, side: 0 }, description: 'Cover Drive' },
             
             // Leg-side shots (left side for right-handed batsman) - Negative X
-            pullShot: { power: 2.2, direction: [-1, 0, -0.3], height: 0.3, description: 'Pull Shot' },
-            hookShot: { power: 2.4, direction: [-0.9, 0, 0.3], height: 0.4, description: 'Hook Shot' },
-            legGlance: { power: 1.5, direction: [-0.6, 0, 0.8], height: 0.1, description: 'Leg Glance' },
-            onDrive: { power: 1.6, direction: [-0.7, 0, -0.7], height: 0.2, description: 'On Drive' },
+            pullShot: { power: 2.2, direction: [-1, 0, -0.3], height: 0.3, spin: { top: 15, side: 0 }, description: 'Pull Shot' },
+            hookShot: { power: 2.4, direction: [-0.9, 0, 0.3], height: 0.4, spin: { top: -15, side: -10 }, description: 'Hook Shot' },
+            legGlance: { power: 1.5, direction: [-0.6, 0, 0.8], height: 0.1, spin: { top: 0, side: -8 }, description: 'Leg Glance' },
+            onDrive: { power: 1.6, direction: [-0.7, 0, -0.7], height: 0.2, spin: { top: 25, side: 0 }, description: 'On Drive' },
             
             // Behind wicket shots - Positive Z
-            lateCut: { power: 1.4, direction: [0.6, 0, 0.8], height: 0.1, description: 'Late Cut' },
-            reverseSwep: { power: 1.8, direction: [0.8, 0, 0.6], height: 0.3, description: 'Reverse Sweep' },
+            lateCut: { power: 1.4, direction: [0.6, 0, 0.8], height: 0.1, spin: { top: -12, side: 10 }, description: 'Late Cut' },
+            reverseSwep: { power: 1.8, direction: [0.8, 0, 0.6], height: 0.3, spin: { top: -10, side: 8 }, description: 'Reverse Sweep' },
             
             // Aggressive shots
-            slog: { power: 3.0, direction: [-0.7, 0, -0.7], height: 0.8, description: 'Slog' },
-            helicopter: { power: 3.2, direction: [0, 0, -1], height: 0.9, description: 'Helicopter Shot' },
+            slog: { power: 3.0, direction: [-0.7, 0, -0.7], height: 0.8, spin: { top: -30, side: 0 }, description: 'Slog' },
+            helicopter: { power: 3.2, direction: [0, 0, -1], height: 0.9, spin: { top: -35, side: 0 }, description: 'Helicopter Shot' },
             
             // Power variations
-            lightTap: { power: 0.4, direction: [0, 0, -1], height: 0.05, description: 'Light Tap' },
-            mediumHit: { power: 1.5, direction: [0, 0, -1], height: 0.2, description: 'Medium Hit' },
-            powerShot: { power: 3.0, direction: [0, 0, -1], height: 0.6, description: 'Power Shot' }
+            lightTap: { power: 0.4, direction: [0, 0, -1], height: 0.05, spin: { top: -5, side: 0 }, description: 'Light Tap' },
+            mediumHit: { power: 1.5, direction: [0, 0, -1], height: 0.2, spin: { top: 20, side: 0 }, description: 'Medium Hit' },
+            powerShot: { power: 3.0, direction: [0, 0, -1], height: 0.6, spin: { top: -30, side: 0 }, description: 'Power Shot' }
+        };
+        
+        // ✅ NEW: Shot placement mode - aim at any point on the field with the mouse (or a gamepad's left
+        // stick) instead of picking one of the fixed shotTypes. Shift (or the right bumper) lofts the shot
+        this.shotPlacement = {
+            enabled: false,
+            aimPoint: new THREE.Vector3(0, 0, -40), // Straight back past the bowler
+            raycaster: new THREE.Raycaster(),
+            marker: null,
+            aimError: { perfect: 0.03, good: 0.1, okay: 0.22, poor: 0.45 }, // Max radians off the aimed line, either way
+            groundMetresPerPower: 30, // Aim distance per unit of shot power along the ground
+            loftedMetresPerPower: 25, // ... and in the air
+            stickDeadzone: 0.2,
+            stickRange: 70,           // Metres from the batter at full stick deflection
+            gamepadShotHeld: false    // Shot button state last frame, so one press plays one shot
         };
         
         // Cricket team characters
@@ -127,6 +317,34 @@ class CricketGame {
             originalPosition: null // Store bowler's original position
         };
         
+        // ✅ NEW: Throws in from the field - to whichever end the run out is likelier, flat or as a shy at the stumps
+        this.throwSystem = {
+            inFlight: false,      // A throw is on its way in
+            target: null,         // End it's going to: 'bowler' or 'batsman'
+            style: null,          // 'lob' (no run on), 'flat' to the bowler / keeper, or 'directHit' at the stumps
+            flatSpeed: 0.9,       // Flat throws travel at this fraction of the fielder's arm...
+            directHitSpeed: 1.0,  // ...and shies at the stumps at full arm
+            receiverHeight: 1.2,  // Flat throws come in at the gloves
+            stumpAimHeight: 0.4,  // Shies aim at the middle of the stumps
+            keeperStandOff: 0.6,  // Keeper comes up this far behind the stumps to take a throw
+            keeperCollectRadius: 2.0,
+            collectTime: 0.25,    // Seconds for the bowler or keeper to gather and break the wicket
+            shyWindow: 0.4,       // Still have a shy when the batter would be in by up to this (s) - it's the only chance
+            directHitRange: 30,   // Metres - from further out it's a flat throw to the receiver
+            accuracy: { base: 0.65, perMetre: 0.018, min: 0.05 }, // Direct hit chance: base - perMetre x distance
+            missBy: { min: 0.25, max: 1.5 }, // Metres a missed shy goes wide of the stumps
+            strandedTime: 3.0,    // Seconds allowed for a batter out of their ground but not heading for that end
+            wildThrow: { base: 0.03, perMetre: 0.004, max: 0.25 }, // Chance a flat throw is wild: base + perMetre x distance
+            wildBy: { min: 3.0, max: 6.0 }, // Metres a wild throw misses the bowler's or keeper's hands by
+            backupDistance: 12,   // Backing-up fielder covers this far behind the stumps, in line with the throw
+            backupFielder: null,  // Fielder backing up the throw in flight
+            resetDelay: 1000,     // ms after the ball is dead before the fielders walk back in
+            lastPosition: new THREE.Vector3(), // Ball position last frame - a throw is judged as it passes the stumps / hands
+            throwsThisBall: 0,
+            looseBall: false,     // A throw got past (or deflected off the stumps) and the ball is running on
+            overthrowFrom: null   // Runs completed when the ball first got loose - any more are overthrows
+        };
+        
         // Fielding system
         this.fieldingSystem = {
             ballIsHit: false,
@@ -135,6 +353,8 @@ class CricketGame {
             ballLastPosition: new THREE.Vector3(),
             fielderStates: new Map(), // Track fielder states: 'idle', 'chasing', 'throwing', 'returning', 'catching'
             fielderOriginalPositions: new Map(), // Store original fielding positions
+            thrower: null, // Fielder whose throw is on its way in (credited with a run out)
+            landingError: null, // {x, z} misread of where the ball will land - drawn once per delivery
             // Fielding zones for better assignment
             fieldingZones: {
                 'straight': ['Mid Off', 'Mid On'],
@@ -169,7 +389,37 @@ class CricketGame {
             runProgress: 0, // 0 to 1 completion of current run
             runsCompleted: 0,
             turningAtEnd: false,
-            waitingForNextRun: false
+            waitingForNextRun: false,
+            // ✅ NEW: The non-striker runs alongside, backing up this far to the side of the stumps away from the bowler
+            nonStrikerLaneX: 1.2,
+            partnerStayedAt: null // ✅ NEW: Mix-up - the end the non-striker refused to leave while the striker ran
+        };
+
+        // ✅ NEW: Calling for runs - the striker calls yes / no / wait and the AI partner answers from their own read
+        // of the ball's speed, the fielder's distance and the fielder's arm
+        this.runCalling = {
+            responseTime: 0.35,   // Seconds for the partner to answer a call (and get going on a yes)
+            lookTime: 0.8,        // Seconds the partner watches the fielder after 'wait' before calling
+            safetyMargin: 0.3,    // Seconds to spare the partner wants before saying yes
+            judgementError: 0.8,  // Spread (s) in the partner's read of the run
+            pickupTime: 0.4,      // Seconds for a fielder to gather and release
+            fielderSpeed: 7.0,    // m/s a fielder closes on the ball
+            defaultArm: 25,       // m/s throw for fielders without their own rating
+            pending: null,        // Call waiting on the partner's answer
+            refusedRun: null,     // Run the partner said no to - calling yes again sends the striker alone
+            caller: null,         // Whoever called the run in progress - blamed for a run out
+            callText: { yes: 'Yes!', no: 'No!', wait: 'Wait...' }
+        };
+
+        // ✅ NEW: Grounding the bat - L as the striker comes into the crease runs the bat in over the popping crease.
+        // Turning without it risks being called one short, and until it's down the batter is in with less to spare
+        this.groundingSystem = {
+            window: 3.0,          // Metres out from the popping crease the bat can be grounded from
+            aiGroundAt: 1.5,      // Metres out the AI batter runs the bat in
+            ungroundedReach: 0.2, // Reach over the line before the bat is grounded (footwork.groundingReach once it is)
+            shortRunChance: 0.6,  // Chance the umpire calls a turn without the bat grounded one short
+            grounded: false,      // Bat grounded at the end the striker is running to
+            groundedTurn: true    // Bat was grounded at the end the striker is turning at - judged when they set off again
         };
 
         // Cricket scoring system
@@ -199,13 +449,88 @@ class CricketGame {
             gameOverReason: null // 'target_achieved', 'overs_completed', 'all_out'
         };
 
+        // ✅ NEW: Seeded random system - every gameplay random decision draws from here,
+        // so a match replays exactly from its seed (?seed=XXXX or ?daily in the URL)
+        this.randomSystem = {
+            seed: this.getSeedFromUrl() || createRandomSeed(),
+            deliveryNumber: 0, // Each delivery gets its own streams so frame timing can't shift later balls
+            streams: new Map()
+        };
+
         // Ball state management
         this.ballState = {
             isActive: false,
             isComplete: false,
             runsThisBall: 0,
-            ballType: 'normal', // 'normal', 'boundary', 'missed'
-            completionReason: null // 'boundary', 'fielded', 'missed'
+            ballType: 'normal', // 'normal', 'boundary', 'extrasBoundary', 'overthrow', 'missed'
+            completionReason: null, // 'boundary', 'fielded', 'missed'
+            // ✅ NEW: Delivery details written to the ball-by-ball log
+            variation: null,    // Bowling variation key
+            shotType: null,     // Shot played (null if no shot)
+            timing: null,       // 'perfect', 'good', 'okay', 'poor'
+            fielder: null,      // Fielder involved in a dismissal
+            pitchPoint: null,   // {x, z} where the delivery pitched
+            landingPoint: null, // {x, z} where the ball first landed after the shot
+            // ✅ NEW: Umpire's calls for extras
+            noBall: null,       // 'frontFoot' (overstep) or 'height' (above-waist full toss)
+            freeHit: false,     // Delivery is a free hit - only a run out can dismiss the batter
+            wide: false,        // Passed the popping crease out of the batter's reach
+            creaseJudged: false, // Line/height already judged at the popping crease (or at contact)
+            padContact: false,  // Struck the batter's pads/body without touching the bat (leg-byes)
+            lbwReview: null,    // Ball-tracking projection from the pad impact (pitching, impact, wickets)
+            // ✅ NEW: DRS
+            shotOffered: false, // The batter swung at the delivery
+            edged: false,       // Came off an outside, inside or top edge
+            dismissedIndex: null, // Batting card index of the batter out when it isn't the striker (non-striker run out)
+            calls: [],          // ✅ NEW: Calls for runs ('J Root: Yes!') shown in the ball summary
+            runOut: null,       // ✅ NEW: {batter, blame, end} - who was run out, whose call it was and at which end
+            overthrows: 0,      // ✅ NEW: Runs (included in the total) that came from throws getting past
+            shortRuns: 0,       // ✅ NEW: Runs run but called one short by the umpire (not scored)
+            trajectory: [],     // {x, y, z, t} of the unhit ball - replayed in slow motion on review
+            closestBatDistance: Infinity, // Closest the unhit ball came to the bat (caught-behind edge)
+            appeal: null,       // {type: 'lbw'|'caught', decision: 'out'|'not out'} - the on-field call
+            review: null        // DRS review of the appeal, written to the ball-by-ball log
+        };
+
+        // ✅ NEW: Extras - wides, no-balls, byes and leg-byes called from the ball's actual flight
+        this.extrasSystem = {
+            poppingCreaseZ: this.PITCH_LENGTH / 2 - 1.22, // Striker's popping crease
+            bowlerPoppingCreaseZ: -this.PITCH_LENGTH / 2 + 1.22, // Front foot must land behind this line
+            // Max distance from the batter (m) at the crease before it's a wide. Wider than the 0.89m ODI
+            // guideline because deliveries are released 1m wide of the stumps ('Outside Off Stump' passes ~1.35m out)
+            wideLine: 1.6,
+            waistHeight: 1.0, // Full tosses above this height at the crease are no-balls
+            frontFootMargin: 0.18, // Average distance the front foot lands behind the crease
+            frontFootSpread: 0.4, // Variation in the front-foot landing (bigger = more overstepping)
+            padRadius: 0.3, // Batter's body/pads around the stance position
+            padHeight: 1.2
+        };
+
+        // ✅ NEW: LBW - ball-tracking projection from the point of pad impact to the stumps
+        this.lbwSystem = {
+            enabled: true,
+            stumpHalfWidth: 0.12, // Middle stump to the outer edge of off/leg stump (10cm apart, 2cm radius)
+            stumpHeight: 0.72,    // Top of the bails
+            ballRadius: 0.036,    // Any part of the ball over the stumps counts as in line / hitting
+            projectionStep: 0.01, // Seconds between points on the projected path
+            projectionLine: null  // Projected path drawn during a review replay
+        };
+
+        // ✅ NEW: Decision Review System - the side on the wrong end of an LBW or caught-behind call can challenge it
+        this.drsSystem = {
+            enabled: true,
+            reviewWindow: 6,        // Seconds the user has to signal for a review
+            aiThinkTime: 1500,      // ms before the computer's side signals (or doesn't)
+            slowMotion: 0.2,        // Replay speed
+            batReach: 0.35,         // The blade's reach from the bat collision point when not swinging
+            edgeThickness: 0.04,    // Passing within this of the blade is a thin edge (a spike on UltraEdge)
+            appealDistance: 0.25,   // Keeper takes a ball that passed this close to the bat - appeal for caught behind
+            umpireLineError: 0.1,   // On-field umpire's error (m) judging pitching, impact and the projection
+            umpireEdgeError: 0.12,  // On-field umpire's error (m) judging how close the ball passed the bat
+            pending: null,          // Appeal awaiting (or under) review: {type, decision, side}
+            replay: null,           // Slow-motion replay in progress
+            prompt: null,           // Review prompt element
+            promptTimer: null
         };
 
         // 3D Scoreboards system
@@ -233,38 +558,100 @@ class CricketGame {
         ];
         
         // ✅ NEW: Batting Team and Scorecard System
-        this.battingTeam = {
-            teamName: 'England',
-            matchDetails: 'Cricket 3D - Practice Match',
-            currentBatsman: 0, // Index of current batsman (0-10)
-            currentPartner: 1,  // Index of non-striker (0-10)
-            extras: {
-                byes: 0,
-                legByes: 0,
-                wides: 0,
-                noBalls: 0,
-                penalties: 0
+        // Score, batting card and bowling card live in the headless match engine;
+        // this.battingTeam and this.cricketScore are read from it for rendering.
+        // Both XIs - players with a bowlingStyle make up that side's bowling attack. bats: 'left' for left-handers.
+        // ratings: 0-100 batting ratings (see battingRatings) and the zones the player likes to score in
+        this.matchTeams = [
+            {
+                teamName: 'England',
+                matchDetails: 'Cricket 3D - Practice Match',
+                players: [
+                    // Opening batsmen
+                    { name: 'A Cook', bats: 'left', role: 'batter',
+                        ratings: { timing: 80, power: 55, pace: 80, spin: 70, zones: ['offSide', 'legSide'] } },
+                    { name: 'S Robson', role: 'batter',
+                        ratings: { timing: 65, power: 60, pace: 65, spin: 55, zones: ['offSide'] } },
+                    // Top order
+                    { name: 'G Ballance', bats: 'left', role: 'batter',
+                        ratings: { timing: 70, power: 60, pace: 70, spin: 65, zones: ['legSide'] } },
+                    { name: 'I Bell', role: 'batter',
+                        ratings: { timing: 85, power: 60, pace: 80, spin: 85, zones: ['offSide'] } },
+                    { name: 'J Root', role: 'batter', bowlingStyle: 'spin', spinType: 'legSpin',
+                        ratings: { timing: 90, power: 70, pace: 85, spin: 90, zones: ['offSide', 'behind'] } },
+                    // Middle order
+                    { name: 'Moeen Ali', bats: 'left', role: 'allrounder', bowlingStyle: 'spin', spinType: 'offSpin',
+                        ratings: { timing: 70, power: 75, pace: 55, spin: 75, zones: ['straight', 'offSide'] } },
+                    { name: 'J Buttler', role: 'keeper',
+                        ratings: { timing: 75, power: 90, pace: 75, spin: 70, zones: ['legSide', 'straight'] } },
+                    // Lower order
+                    { name: 'C Woakes', role: 'allrounder', bowlingStyle: 'pace',
+                        ratings: { timing: 55, power: 55, pace: 55, spin: 50, zones: ['straight'] } },
+                    { name: 'C Jordan', role: 'bowler', bowlingStyle: 'pace',
+                        ratings: { timing: 40, power: 65, pace: 40, spin: 40, zones: ['legSide'] } },
+                    { name: 'S Broad', bats: 'left', role: 'bowler', bowlingStyle: 'pace',
+                        ratings: { timing: 35, power: 60, pace: 35, spin: 35, zones: ['legSide'] } },
+                    { name: 'J Anderson', bats: 'left', role: 'bowler', bowlingStyle: 'pace',
+                        ratings: { timing: 15, power: 30, pace: 20, spin: 25, zones: ['behind'] } }
+                ]
             },
-            players: [
-                // Opening batsmen
-                { name: 'A Cook', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 1 },
-                { name: 'S Robson', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 2 },
-                
-                // Top order
-                { name: 'G Ballance', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 3 },
-                { name: 'I Bell', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 4 },
-                { name: 'J Root', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 5 },
-                
-                // Middle order
-                { name: 'Moeen Ali', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 6 },
-                { name: 'J Buttler', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 7 },
-                
-                // Lower order
-                { name: 'C Woakes', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 8 },
-                { name: 'C Jordan', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 9 },
-                { name: 'S Broad', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 10 },
-                { name: 'J Anderson', runs: 0, ballsFaced: 0, dismissal: null, isOut: false, position: 11 }
-            ]
+            {
+                teamName: 'India',
+                matchDetails: 'Cricket 3D - Practice Match',
+                players: [
+                    { name: 'M Vijay', role: 'batter',
+                        ratings: { timing: 75, power: 55, pace: 75, spin: 80, zones: ['straight'] } },
+                    { name: 'S Dhawan', bats: 'left', role: 'batter',
+                        ratings: { timing: 75, power: 75, pace: 75, spin: 70, zones: ['offSide'] } },
+                    { name: 'C Pujara', role: 'batter',
+                        ratings: { timing: 80, power: 50, pace: 80, spin: 85, zones: ['legSide'] } },
+                    { name: 'V Kohli', role: 'batter',
+                        ratings: { timing: 92, power: 80, pace: 90, spin: 85, zones: ['offSide', 'straight'] } },
+                    { name: 'A Rahane', role: 'batter',
+                        ratings: { timing: 80, power: 60, pace: 80, spin: 75, zones: ['offSide'] } },
+                    { name: 'MS Dhoni', role: 'keeper',
+                        ratings: { timing: 70, power: 95, pace: 70, spin: 75, zones: ['straight', 'legSide'] } },
+                    { name: 'R Jadeja', bats: 'left', role: 'allrounder', bowlingStyle: 'spin', spinType: 'leftArmOrthodox',
+                        ratings: { timing: 60, power: 65, pace: 55, spin: 65, zones: ['legSide'] } },
+                    { name: 'R Ashwin', role: 'bowler', bowlingStyle: 'spin', spinType: 'offSpin',
+                        ratings: { timing: 55, power: 45, pace: 50, spin: 60, zones: ['offSide'] } },
+                    { name: 'B Kumar', role: 'bowler', bowlingStyle: 'pace',
+                        ratings: { timing: 45, power: 45, pace: 45, spin: 45, zones: ['straight'] } },
+                    { name: 'M Shami', role: 'bowler', bowlingStyle: 'pace',
+                        ratings: { timing: 20, power: 40, pace: 20, spin: 25, zones: ['legSide'] } },
+                    { name: 'I Sharma', role: 'bowler', bowlingStyle: 'pace',
+                        ratings: { timing: 15, power: 30, pace: 20, spin: 20, zones: ['behind'] } }
+                ]
+            }
+        ];
+        this.matchEngine = new MatchEngine({
+            battingTeam: this.matchTeams[0],
+            fieldingTeam: this.matchTeams[1]
+        });
+
+        // ✅ NEW: Two-innings limited-overs match (T20 / ODI style)
+        this.matchSystem = {
+            isActive: false,
+            overs: 20,
+            userTeam: 0, // Index into this.matchTeams of the side the player controls
+            tossWinner: null,
+            tossDecision: null, // 'bat' or 'bowl'
+            userBatting: true,
+            status: 'idle', // 'toss', 'playing', 'innings_break', 'complete'
+            result: null
+        };
+
+        // ✅ NEW: AI batter - plays shots and calls runs while the computer's side bats
+        this.aiBatter = {
+            isActive: false,
+            shotPlayed: false, // Already swung at this delivery
+            swingLeadTime: 0.27, // Seconds before the ball reaches the bat to start the swing
+            timingError: 0.12, // Spread of the lead time (bigger = more mistimed shots)
+            firstRunWindow: 1.2, // Seconds after the hit to commit to the first run
+            runDistance: 30, // Take another run while the ball is at least this far from the stumps
+            leadTime: null, // This delivery's lead time (drawn once from the 'batting' stream)
+            hitTime: null,
+            runsConsidered: -1 // runsCompleted value the last "another run?" decision was made for
         };
 
         // Scorecard UI system
@@ -323,35 +710,116 @@ class CricketGame {
                     speed: 17, 
                     name: 'Straight Delivery',
                     description: 'Good length on the stumps',
-                    difficulty: 'medium'
+                    difficulty: 'medium',
+                    style: 'pace'
                 },
                 leftSide: { 
                     direction: new THREE.Vector3(0.02, 0, 1), 
                     speed: 17, 
                     name: 'Outside Off Stump',
                     description: 'Tempting the batsman to drive',
-                    difficulty: 'easy'
+                    difficulty: 'easy',
+                    style: 'pace'
                 },
                 rightSide: { 
                     direction: new THREE.Vector3(-0.05, 0, 1), 
                     speed: 17, 
                     name: 'Leg Stump Line',
                     description: 'Targeting the pads',
-                    difficulty: 'easy'
+                    difficulty: 'easy',
+                    style: 'pace'
                 },
                 yorker: { 
                     direction: new THREE.Vector3(-0.05, 0, 1.25), 
                     speed: 20, 
                     name: 'Yorker',
                     description: 'Full and fast at the stumps',
-                    difficulty: 'hard'
+                    difficulty: 'hard',
+                    style: 'pace'
                 },
                 bouncer: { 
                     direction: new THREE.Vector3(-0.05, -0.5, 1.5), 
                     speed: 25, 
                     name: 'Bouncer',
                     description: 'Short and aggressive',
-                    difficulty: 'hard'
+                    difficulty: 'hard',
+                    style: 'pace'
+                },
+                
+                // ✅ NEW: Swing and seam - seam angle in degrees (+ points towards the slips) and how upright it is
+                outswinger: {
+                    direction: new THREE.Vector3(-0.035, 0, 1),
+                    speed: 18,
+                    name: 'Outswinger',
+                    description: 'Starts on the stumps and swings away',
+                    difficulty: 'hard',
+                    style: 'pace',
+                    seam: { angle: 20, upright: 0.5 }
+                },
+                inswinger: {
+                    direction: new THREE.Vector3(-0.005, 0, 1),
+                    speed: 18,
+                    name: 'Inswinger',
+                    description: 'Starts outside off and swings back in',
+                    difficulty: 'hard',
+                    style: 'pace',
+                    seam: { angle: -20, upright: 0.5 }
+                },
+                seamer: {
+                    direction: new THREE.Vector3(-0.025, 0, 1),
+                    speed: 19,
+                    name: 'Seam Up',
+                    description: 'Bolt-upright seam - nips either way off the pitch',
+                    difficulty: 'medium',
+                    style: 'pace',
+                    seam: { angle: 0, upright: 1 }
+                },
+                
+                // ✅ NEW: Spin variations - flighted, slower, with a spin rate (rev/s) and axis (see spinSystem)
+                offSpin: {
+                    direction: new THREE.Vector3(-0.02, 0.12, 1),
+                    speed: 13,
+                    name: 'Off Break',
+                    description: 'Drifts away, then turns back in from off',
+                    difficulty: 'medium',
+                    style: 'spin',
+                    spin: { rate: 25, axis: new THREE.Vector3(0.5, 0.35, 0.8).normalize() }
+                },
+                legSpin: {
+                    direction: new THREE.Vector3(-0.05, 0.12, 1),
+                    speed: 13,
+                    name: 'Leg Break',
+                    description: 'Dips and drifts in, then spins away',
+                    difficulty: 'medium',
+                    style: 'spin',
+                    spin: { rate: 27, axis: new THREE.Vector3(0.5, -0.25, -0.85).normalize() }
+                },
+                googly: {
+                    direction: new THREE.Vector3(-0.03, 0.12, 1),
+                    speed: 13,
+                    name: 'Googly',
+                    description: 'Leg-spinner\'s wrong\'un - turns in from off',
+                    difficulty: 'hard',
+                    style: 'spin',
+                    spin: { rate: 24, axis: new THREE.Vector3(0.5, 0.3, 0.8).normalize() }
+                },
+                doosra: {
+                    direction: new THREE.Vector3(-0.04, 0.12, 1),
+                    speed: 13,
+                    name: 'Doosra',
+                    description: 'Off-spinner\'s other one - turns away',
+                    difficulty: 'hard',
+                    style: 'spin',
+                    spin: { rate: 24, axis: new THREE.Vector3(0.4, -0.3, -0.85).normalize() }
+                },
+                armBall: {
+                    direction: new THREE.Vector3(-0.05, 0.08, 1),
+                    speed: 14.5,
+                    name: 'Arm Ball',
+                    description: 'Flatter and quicker, drifts and skids on with the arm',
+                    difficulty: 'medium',
+                    style: 'spin',
+                    spin: { rate: 18, axis: new THREE.Vector3(-0.3, 0.9, 0.2).normalize() }
                 }
             },
             
@@ -360,22 +828,22 @@ class CricketGame {
                 aggressive: {
                     name: 'Aggressive Attack',
                     description: 'Frequent yorkers and bouncers',
-                    weights: { straight: 20, leftSide: 10, rightSide: 10, yorker: 35, bouncer: 25 }
+                    weights: { straight: 15, leftSide: 10, rightSide: 10, yorker: 30, bouncer: 20, outswinger: 8, inswinger: 7, seamer: 5 }
                 },
                 defensive: {
                     name: 'Defensive Line',
                     description: 'Tight lines outside off stump',
-                    weights: { straight: 40, leftSide: 35, rightSide: 20, yorker: 5, bouncer: 0 }
+                    weights: { straight: 30, leftSide: 30, rightSide: 15, yorker: 5, bouncer: 0, outswinger: 10, inswinger: 0, seamer: 10 }
                 },
                 balanced: {
                     name: 'Balanced Attack',
                     description: 'Mix of all deliveries',
-                    weights: { straight: 30, leftSide: 20, rightSide: 20, yorker: 15, bouncer: 15 }
+                    weights: { straight: 20, leftSide: 15, rightSide: 15, yorker: 12, bouncer: 12, outswinger: 10, inswinger: 8, seamer: 8 }
                 },
                 random: {
                     name: 'Unpredictable',
                     description: 'Completely random deliveries',
-                    weights: { straight: 20, leftSide: 20, rightSide: 20, yorker: 20, bouncer: 20 }
+                    weights: { straight: 12.5, leftSide: 12.5, rightSide: 12.5, yorker: 12.5, bouncer: 12.5, outswinger: 12.5, inswinger: 12.5, seamer: 12.5 }
                 }
             },
             
@@ -386,16 +854,8 @@ class CricketGame {
                 recentBoundaries: [],
                 batsmanAggression: 'medium', // 'low', 'medium', 'high'
                 pressureSituation: false
-            },
-            
-            // Statistics tracking
-            stats: {
-                ballsBowled: 0,
-                wicketsTaken: 0,
-                runsGiven: 0,
-                boundariesConceded: 0,
-                variationCount: {}
             }
+            // Bowling figures are derived from the match engine's ball-by-ball log (see getAIBowlerStats)
         };
 
         // ✅ NEW: Multiplayer Bowling Interface
@@ -514,10 +974,17 @@ class CricketGame {
             // ✅ NEW: Handle pending target chase if needed
             if (window.pendingTargetChase && window.startTargetChase) {
                 setTimeout(() => {
-                    window.startTargetChase();
+                    window.startTargetChase(null, 2.0, this.getSeedFromUrl());
                     window.pendingTargetChase = false;
                     console.log('🎯 Target chase mode activated after loading');
                 }, 500);
+            } else if (window.pendingMatch && window.startMatch) {
+                // ✅ NEW: Handle pending limited-overs match (overs chosen in the menu)
+                setTimeout(() => {
+                    window.startMatch(window.pendingMatch.overs, this.getSeedFromUrl());
+                    window.pendingMatch = null;
+                    console.log('🏆 Match mode activated after loading');
+                }, 500);
             } else {
                 // Show bowling controls for free play mode
                 setTimeout(() => {
@@ -613,6 +1080,12 @@ class CricketGame {
 
     // New methods for menu integration
     start() {
+        // ✅ NEW: Pitch chosen in the menu
+        if (window.pendingPitchType) {
+            this.setPitchType(window.pendingPitchType);
+            window.pendingPitchType = null;
+        }
+        
         if (!this.isInitialized) {
             this.init();
         } else {
@@ -620,6 +1093,10 @@ class CricketGame {
             this.resume();
         }
         
+        // ✅ NEW: Set the field for whoever is on strike
+        this.updateBatterHandedness();
+        this.updateBatterHUD();
+        
         // ✅ NEW: Restore game UI elements when starting
         this.restoreGameUI();
     }
@@ -692,7 +1169,13 @@ class CricketGame {
         
         // Remove any lingering notifications
         this.removeAllNotifications();
+
+        // ✅ NEW: Remove toss / innings break / result screen
+        this.removeMatchScreen();
         
+        // ✅ NEW: Abandon any DRS review in progress
+        this.clearReview();
+
         console.log('🧹 Game UI cleaned up');
     }
     
@@ -1056,8 +1539,10 @@ class CricketGame {
             this.PITCH_LENGTH
         );
         
+        // ✅ NEW: Surface drawn on a canvas - grass or dust for the pitch type, then wear, footmarks and cracks
+        this.createCrackMap();
         const pitchMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0xDEB887 // Sandy brown color for the pitch
+            map: this.createPitchSurface()
         });
         
         const pitch = new THREE.Mesh(pitchGeometry, pitchMaterial);
@@ -1073,6 +1558,260 @@ class CricketGame {
 
         // Add stumps at both ends
         this.addStumps();
+        
+        // ✅ NEW: Pitch report on the loading screen
+        this.showPitchReport();
+    }
+    
+    // Switch pitch type - before loading this just picks the type, afterwards it recolours the pitch too
+    setPitchType(type) {
+        if (!this.pitchSystem.types[type]) {
+            console.warn(`⚠️ Unknown pitch type: ${type}`);
+            return;
+        }
+        this.pitchSystem.type = type;
+        
+        const pitch = this.scene ? this.scene.getObjectByName('cricketPitch') : null;
+        if (pitch) {
+            this.createCrackMap();
+            this.resetPitchWear();
+            this.showPitchReport();
+        }
+    }
+    
+    getPitchType() {
+        const { types, type } = this.pitchSystem;
+        return types[type] || types.flatRoad;
+    }
+    
+    // 0 (fresh) to 1 (fully worn), from the balls bowled on it this match
+    getPitchWear() {
+        const wornAfterBalls = this.getPitchType().wearsAfter * BALLS_PER_OVER;
+        return Math.min(1, this.pitchSystem.ballsBowled / wornAfterBalls);
+    }
+    
+    isOnPitch(point) {
+        return Math.abs(point.x) <= this.PITCH_WIDTH / 2 && Math.abs(point.z) <= this.PITCH_LENGTH / 2;
+    }
+    
+    // Footmark the point lands in, if any
+    getFootmarkAt(point) {
+        return this.pitchSystem.footmarks.find(mark => Math.hypot(point.x - mark.x, point.z - mark.z) <= mark.radius) || null;
+    }
+    
+    // How far a crack has opened at the current wear: 0 (closed) to 1 (fully open)
+    getCrackOpening(crack) {
+        return Math.max(0, Math.min(1, (this.getPitchWear() - crack.opensAt) / (1 - crack.opensAt)));
+    }
+    
+    // Open crack the point lands on, if any
+    getCrackAt(point) {
+        const contact = this.pitchSystem.crackContact;
+        return this.pitchSystem.cracks.find(crack => {
+            if (this.getCrackOpening(crack) === 0) return false;
+            for (let i = 1; i < crack.points.length; i++) {
+                const a = crack.points[i - 1];
+                const b = crack.points[i];
+                const dx = b.x - a.x;
+                const dz = b.z - a.z;
+                const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / (dx * dx + dz * dz)));
+                if (Math.hypot(point.x - (a.x + t * dx), point.z - (a.z + t * dz)) <= contact) {
+                    return true;
+                }
+            }
+            return false;
+        }) || null;
+    }
+    
+    // Crack map for this pitch type. Seeded from the type rather than the match, so the same pitch
+    // always cracks the same way; most cracks are on a length at the batter's end, where the ball lands
+    createCrackMap() {
+        const pitch = this.getPitchType();
+        const crackRandom = new SeededRandom(`pitch:${this.pitchSystem.type}`);
+        const halfWidth = this.PITCH_WIDTH / 2 - 0.2;
+        const halfLength = this.PITCH_LENGTH / 2 - 1.5;
+        
+        this.pitchSystem.cracks = [];
+        for (let i = 0; i < pitch.cracks; i++) {
+            let x = crackRandom.range(-halfWidth, halfWidth);
+            let z = crackRandom.chance(0.7) ? crackRandom.range(1, 7.5) : crackRandom.range(-halfLength, halfLength);
+            const lengthways = crackRandom.chance(0.6);
+            const points = [{ x, z }];
+            const segments = crackRandom.int(3, 6);
+            for (let j = 0; j < segments; j++) {
+                const step = crackRandom.range(0.15, 0.35);
+                x = Math.max(-halfWidth, Math.min(halfWidth, x + (lengthways ? crackRandom.spread(0.2) : step)));
+                z += lengthways ? step : crackRandom.spread(0.2);
+                points.push({ x, z });
+            }
+            this.pitchSystem.cracks.push({
+                points,
+                width: crackRandom.range(0.01, 0.03), // Fully open width (m)
+                opensAt: crackRandom.range(0, 0.6)    // Wear at which it starts to open
+            });
+        }
+    }
+    
+    createPitchSurface() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 840; // About 42 pixels per metre along the pitch
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace; // Keep the pitch colours as drawn
+        this.pitchSystem.surface = { canvas, texture };
+        this.drawPitchSurface();
+        return texture;
+    }
+    
+    // Redrawn as the pitch wears: the canvas top is the bowler's end (-Z), left is the leg side (-X)
+    drawPitchSurface() {
+        const surface = this.pitchSystem.surface;
+        if (!surface) return;
+        
+        const { canvas, texture } = surface;
+        const ctx = canvas.getContext('2d');
+        const pitch = this.getPitchType();
+        const wear = this.getPitchWear();
+        const scaleX = canvas.width / this.PITCH_WIDTH;
+        const scaleZ = canvas.height / this.PITCH_LENGTH;
+        const toCanvas = point => [(point.x + this.PITCH_WIDTH / 2) * scaleX, (point.z + this.PITCH_LENGTH / 2) * scaleZ];
+        
+        ctx.fillStyle = `#${pitch.color.toString(16).padStart(6, '0')}`;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        // Bare, dusty patches spread as the surface breaks up (same speckle every redraw)
+        const speckleRandom = new SeededRandom(`pitch-wear:${this.pitchSystem.type}`);
+        ctx.fillStyle = 'rgba(120, 90, 60, 1)';
+        for (let i = 0; i < 400; i++) {
+            const x = speckleRandom.range(0, canvas.width);
+            const y = speckleRandom.range(0, canvas.height);
+            const size = speckleRandom.range(1, 4);
+            if (speckleRandom.next() < wear) {
+                ctx.globalAlpha = 0.15 + 0.35 * wear;
+                ctx.fillRect(x, y, size, size);
+            }
+        }
+        
+        // Footmark rough
+        this.pitchSystem.footmarks.forEach(mark => {
+            const [x, y] = toCanvas(mark);
+            ctx.globalAlpha = 0.8 * wear;
+            ctx.fillStyle = '#8B6B4A';
+            ctx.beginPath();
+            ctx.ellipse(x, y, mark.radius * scaleX, mark.radius * scaleZ, 0, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // Cracks widen as they open
+        ctx.strokeStyle = '#3b2a1a';
+        ctx.lineCap = 'round';
+        this.pitchSystem.cracks.forEach(crack => {
+            const opening = this.getCrackOpening(crack);
+            if (opening === 0) return;
+            ctx.globalAlpha = 0.4 + 0.6 * opening;
+            ctx.lineWidth = Math.max(1, crack.width * opening * scaleX);
+            ctx.beginPath();
+            crack.points.forEach((point, i) => {
+                const [x, y] = toCanvas(point);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+        
+        ctx.globalAlpha = 1;
+        texture.needsUpdate = true;
+    }
+    
+    // How the surface treats a delivery pitching here: bounce and pace kept, grip for spin and seam.
+    // Wear makes the pitch lower, slower, grippier and less even; the rough in the footmarks even more so.
+    // Landing on an open crack or in the rough can throw the bounce right out - a shooter or a steep lifter
+    getPitchBounce(point) {
+        const pitch = this.getPitchType();
+        const wear = this.getPitchWear();
+        const inRough = wear > 0 && this.getFootmarkAt(point) !== null;
+        const crack = this.getCrackAt(point);
+        const pitchRandom = this.random('pitch');
+        
+        let variability = pitch.variability * (1 + wear);
+        let spinGrip = pitch.spinGrip * (1 + 0.5 * wear);
+        if (inRough) {
+            variability += this.pitchSystem.roughVariability * wear;
+            spinGrip *= 1 + this.pitchSystem.roughGrip * wear;
+        }
+        
+        let bounce = pitch.bounce * (1 - 0.15 * wear) * (1 + pitchRandom.spread(2 * variability));
+        let paceRetention = Math.min(1, pitch.paceRetention * (1 - 0.05 * wear) * (1 + pitchRandom.spread(variability * 0.5)));
+        
+        // Uneven bounce - more likely the further the crack has opened or the rougher the footmark
+        const { crackUnevenChance, roughUnevenChance } = this.pitchSystem;
+        const unevenChance = Math.max(
+            crack ? crackUnevenChance * this.getCrackOpening(crack) : 0,
+            inRough ? roughUnevenChance * wear : 0
+        );
+        let uneven = null;
+        let deflection = 0;
+        if (unevenChance > 0 && pitchRandom.chance(unevenChance)) {
+            uneven = pitchRandom.chance(0.5) ? 'shooter' : 'lifter';
+            if (uneven === 'shooter') {
+                bounce *= pitchRandom.range(0.1, 0.3); // Skids through at ankle height
+                paceRetention = Math.min(1, paceRetention + 0.04);
+            } else {
+                bounce *= pitchRandom.range(1.5, 1.9); // Rears up off a length
+                paceRetention *= 0.95;
+            }
+            deflection = pitchRandom.spread(1.2); // Off the edge of the crack or a clod of rough, either way
+        }
+        
+        const where = crack ? ' on a crack' : inRough ? ' in the rough' : '';
+        console.log(`🟫 Pitched on a ${pitch.name.toLowerCase()}${where} (wear ${(wear * 100).toFixed(0)}%) - bounce ${bounce.toFixed(2)}, pace kept ${(paceRetention * 100).toFixed(0)}%${uneven ? ` - ${uneven.toUpperCase()}!` : ''}`);
+        return { bounce, paceRetention, spinGrip, seam: pitch.seam, inRough, onCrack: crack !== null, uneven, deflection };
+    }
+    
+    // The surface shows the wear: bare patches, darkening footmarks and opening cracks
+    updatePitchWear() {
+        this.drawPitchSurface();
+    }
+    
+    resetPitchWear() {
+        this.pitchSystem.ballsBowled = 0;
+        this.updatePitchWear();
+    }
+    
+    // 'Dusty turner - 35% worn'
+    describePitch() {
+        return `${this.getPitchType().name} - ${(this.getPitchWear() * 100).toFixed(0)}% worn`;
+    }
+    
+    showPitchReport() {
+        const loadingContent = document.querySelector('.loading-content');
+        if (!loadingContent) return;
+        
+        const existing = loadingContent.querySelector('.pitch-report');
+        if (existing) {
+            existing.remove();
+        }
+        
+        const pitch = this.getPitchType();
+        const report = document.createElement('div');
+        report.className = 'pitch-report';
+        report.style.cssText = `
+            margin-top: 15px;
+            padding: 12px 16px;
+            max-width: 420px;
+            background: rgba(0, 0, 0, 0.35);
+            border-left: 3px solid #4ecdc4;
+            border-radius: 6px;
+            text-align: left;
+            font-size: 14px;
+            line-height: 1.4;
+        `;
+        report.innerHTML = `
+            <div style="font-weight: bold; margin-bottom: 4px;">🏟️ Pitch report: ${pitch.name}</div>
+            <div style="opacity: 0.85;">${pitch.report}</div>
+        `;
+        loadingContent.appendChild(report);
+        console.log(`🏟️ Pitch report - ${pitch.name}: ${pitch.report}`);
     }
 
     addPitchMarkings() {
@@ -1140,6 +1879,7 @@ class CricketGame {
                 bail.rotation.z = Math.PI / 2;
                 bail.castShadow = true;
                 bail.name = `bail_${end}_${i}`;
+                bail.userData.home = bail.position.clone(); // Put back after the wicket is broken
                 
                 this.scene.add(bail);
             }
@@ -1464,6 +2204,9 @@ class CricketGame {
         const targetDirection = new THREE.Vector3(0, 0, -10);
         this.character.lookAt(targetDirection);
         
+        // ✅ NEW: Mirror the model for a left-handed striker
+        this.character.scale.x *= this.getHandSign();
+        
         // Enable shadows
         this.character.traverse((child) => {
             if (child.isMesh) {
@@ -1553,6 +2296,9 @@ class CricketGame {
         // Activate bat swing system for collision detection
         this.batSwing.isSwinging = true;
         this.batSwing.swingStartTime = Date.now();
+        if (this.ballState.isActive) {
+            this.ballState.shotOffered = true;
+        }
         this.batSwing.swingDuration = 1500; // Match animation duration
         this.batSwing.swingDirection.set(0, 0, -1); // Hit toward bowler
         this.batSwing.swingPower = 1.2; // Medium-high power
@@ -1744,11 +2490,24 @@ class CricketGame {
         // Apply gravity
         this.ballPhysics.velocity.y += this.ballPhysics.gravity * deltaTime;
         
+        // ✅ NEW: Drag and Magnus force (spin drift and dip), and swing, in the air
+        this.applyAerodynamics(deltaTime);
+        this.applySwingInFlight(deltaTime);
+        
         // Update position
         this.cricketBall.position.add(
             this.ballPhysics.velocity.clone().multiplyScalar(deltaTime)
         );
         
+        // ✅ NEW: Record the delivery's flight for DRS replays
+        this.recordDeliveryTrajectory(deltaTime);
+        
+        // ✅ NEW: Extras - pad contact, then line and height as the ball reaches the popping crease
+        this.checkPadContact();
+        if (!this.cricketScore.ballHasBeenHit && this.cricketBall.position.z >= this.extrasSystem.poppingCreaseZ) {
+            this.judgeDeliveryAtCrease(false);
+        }
+        
         // Ground collision (y = 0 is ground level)
         if (this.cricketBall.position.y <= 0.035) { // Ball radius offset
             this.cricketBall.position.y = 0.035;
@@ -1756,8 +2515,25 @@ class CricketGame {
             // ✅ FIXED: Check if ball was falling BEFORE reversing velocity
             const wasFalling = this.ballPhysics.velocity.y <= 0;
             
+            // ✅ NEW: A delivery bounces off the pitch according to its type and wear; anything else
+            // (including a ball just rolling along the surface) uses the default bounce
+            const isRealBounce = this.ballPhysics.velocity.y < -1;
+            const pitchBounce = isRealBounce && !this.cricketScore.ballHasBeenHit && this.isOnPitch(this.cricketBall.position)
+                ? this.getPitchBounce(this.cricketBall.position)
+                : null;
+            
             // Bounce
-            this.ballPhysics.velocity.y *= -this.ballPhysics.bounceCoefficient;
+            this.ballPhysics.velocity.y *= -(pitchBounce ? pitchBounce.bounce : this.ballPhysics.bounceCoefficient);
+            
+            // ✅ NEW: Off a crack or the rough the ball can also kick sideways - shooters and lifters get called out
+            if (pitchBounce && pitchBounce.uneven) {
+                this.ballPhysics.velocity.x += pitchBounce.deflection;
+                const cause = pitchBounce.onCrack ? 'off a crack' : 'out of the rough';
+                this.showExtraNotification(
+                    pitchBounce.uneven === 'shooter' ? 'SHOOTER!' : 'LIFTER!',
+                    pitchBounce.uneven === 'shooter' ? `Kept low ${cause}` : `Reared up ${cause}`
+                );
+            }
             
             // Only register bounce if ball naturally fell to ground
             if (wasFalling) {
@@ -1767,9 +2543,18 @@ class CricketGame {
                 console.log('⚡ Ball constrained to ground level but wasn\'t falling (lofted shot start)');
             }
             
-            // Apply friction to horizontal movement
-            this.ballPhysics.velocity.x *= this.ballPhysics.friction;
-            this.ballPhysics.velocity.z *= this.ballPhysics.friction;
+            // Apply friction to horizontal movement (the pitch decides how much pace a delivery keeps)
+            const friction = pitchBounce ? pitchBounce.paceRetention : this.ballPhysics.friction;
+            this.ballPhysics.velocity.x *= friction;
+            this.ballPhysics.velocity.z *= friction;
+            
+            // ✅ NEW: Spin bites as the ball lands, and the seam grips as the delivery pitches
+            if (wasFalling) {
+                this.applySpinOnBounce(pitchBounce ? pitchBounce.spinGrip : 1);
+                if (!this.cricketScore.ballHasBeenHit) {
+                    this.applySeamOnBounce(pitchBounce ? pitchBounce.seam : 1);
+                }
+            }
             
             // Stop if moving very slowly
             if (this.ballPhysics.velocity.length() < 0.1) {
@@ -1817,11 +2602,19 @@ class CricketGame {
         }
     }
 
-    bowlBall(direction, speed) {
+    bowlBall(direction, speed, variationKey = null) {
         if (!this.cricketBall) return;
 
         // Activate the ball state to signal that a new play has begun.
         this.startNewBall();
+        this.ballState.variation = variationKey;
+        
+        // ✅ NEW: Every delivery wears the pitch a little more
+        this.pitchSystem.ballsBowled++;
+        this.updatePitchWear();
+        
+        // ✅ NEW: Umpire watches the front foot at the moment of delivery
+        this.judgeFrontFoot();
         
         // Clear previous trail
         this.clearBallTrail();
@@ -1837,16 +2630,156 @@ class CricketGame {
         }
         
         // Reset ball position to bowler (higher release point)
-        this.cricketBall.position.set(1, 3, -9);
+        // ✅ NEW: Lines are written for a right-hander - mirror the release point and line to a left-hander
+        const sign = this.getHandSign();
+        this.cricketBall.position.set(1 * sign, 3, -9);
         // Set velocity based on direction and speed (add upward component for proper cricket delivery)
         this.ballPhysics.velocity.set(
-            direction.x * speed,
+            direction.x * speed * sign,
             direction.y * speed, // Minimum upward velocity for proper arc
             direction.z * speed
         );
         
+        // ✅ NEW: Spin imparted at release (none for pace deliveries), swing and seam from the ball's condition
+        this.setDeliverySpin(variationKey);
+        this.setDeliverySwing(variationKey);
+        this.positionKeeper();
+        
         this.ballPhysics.isMoving = true;
     }
+    
+    setDeliverySpin(variationKey) {
+        const variation = variationKey ? this.aiBowler.bowlingVariations[variationKey] : null;
+        const spin = this.ballPhysics.spin;
+        if (variation && variation.spin) {
+            spin.axis.copy(variation.spin.axis);
+            spin.rate = variation.spin.rate;
+            console.log(`🌀 ${variation.name} released at ${spin.rate} rev/s`);
+        } else {
+            spin.axis.set(0, 0, 0);
+            spin.rate = 0;
+        }
+    }
+    
+    // Condition of the ball this innings: shine drives conventional swing, the rough side reverse swing.
+    // `swing` is the net swing in the direction the seam points (negative = reversing)
+    getBallCondition() {
+        const { shineLifespan, reverseSwingAge, reverseBuildUp } = this.swingSystem;
+        const ageOvers = ballsToOverFraction(this.matchEngine.score.balls);
+        const shine = Math.max(0, 1 - ageOvers / shineLifespan);
+        const reverse = Math.min(1, Math.max(0, (ageOvers - reverseSwingAge) / reverseBuildUp));
+        return { ageOvers, shine, reverse, swing: shine - reverse };
+    }
+    
+    // 'Ball: 14.2 overs old - reversing'
+    describeBallCondition() {
+        const condition = this.getBallCondition();
+        const state = condition.swing < -0.1 ? 'reversing' : condition.swing > 0.1 ? 'shiny and swinging' : 'not doing much';
+        return `Ball: ${condition.ageOvers.toFixed(1)} overs old - ${state}`;
+    }
+    
+    setDeliverySwing(variationKey) {
+        const variation = variationKey ? this.aiBowler.bowlingVariations[variationKey] : null;
+        const swing = this.ballPhysics.swing;
+        swing.lateral = 0;
+        swing.seamUpright = 0;
+        if (!variation || !variation.seam) return;
+        
+        // Seam towards the slips (+X, or -X to a left-hander) moves the ball to the off side with a new ball,
+        // and back in once it reverses
+        const condition = this.getBallCondition();
+        const seamAngle = variation.seam.angle * Math.PI / 180;
+        swing.lateral = this.swingSystem.swingCoefficient * Math.sin(seamAngle) * condition.swing * this.getHandSign();
+        swing.seamUpright = variation.seam.upright;
+        
+        if (variation.seam.angle !== 0) {
+            const shineSide = variation.seam.angle > 0 ? 'leg' : 'off';
+            const offsideMovement = swing.lateral * this.getHandSign();
+            const movement = offsideMovement > 0 ? 'away' : offsideMovement < 0 ? 'in' : 'straight on';
+            const type = condition.swing < 0 ? 'reverse' : 'conventional';
+            console.log(`💨 ${condition.ageOvers.toFixed(1)}-over-old ball, shine on the ${shineSide} side - ${type} swing ${movement}`);
+        }
+    }
+    
+    // Swing acts on the delivery in the air until it pitches
+    applySwingInFlight(deltaTime) {
+        const swing = this.ballPhysics.swing;
+        if (swing.lateral === 0 || this.ballState.pitchPoint || this.cricketScore.ballHasBeenHit) return;
+        
+        const speed = this.ballPhysics.velocity.length();
+        this.ballPhysics.velocity.x += swing.lateral * speed * speed * deltaTime;
+    }
+    
+    // Seam movement: the seam lands at an angle and the ball nips one way or the other
+    applySeamOnBounce(seamFactor = 1) {
+        const swing = this.ballPhysics.swing;
+        if (swing.seamUpright === 0) return;
+        
+        const deviation = this.random('bowling').spread(2 * this.swingSystem.seamMovement * swing.seamUpright * seamFactor);
+        this.ballPhysics.velocity.x += deviation;
+        swing.seamUpright = 0; // Only on pitching
+        console.log(`🧵 Seamed ${deviation >= 0 ? 'away' : 'in'} off the pitch (${Math.abs(deviation).toFixed(2)} m/s)`);
+    }
+    
+    // Drag (struck ball only - a delivery's length is set by its release) and the Magnus force from spin.
+    // Thrown returns are aimed without air resistance, so they are left to gravity
+    applyAerodynamics(deltaTime) {
+        if (this.cricketBall.position.y <= 0.04 || this.bowlerReceivingSystem.isReceivingThrow || this.throwSystem.inFlight) return;
+        
+        const velocity = this.ballPhysics.velocity;
+        const { dragCoefficient, magnusCoefficient } = this.aerodynamics;
+        
+        if (this.cricketScore.ballHasBeenHit) {
+            velocity.multiplyScalar(1 - dragCoefficient * velocity.length() * deltaTime);
+        }
+        
+        const spin = this.ballPhysics.spin;
+        if (spin.rate !== 0) {
+            const omega = spin.axis.clone().multiplyScalar(spin.rate * 2 * Math.PI);
+            velocity.add(omega.cross(velocity).multiplyScalar(magnusCoefficient * deltaTime));
+        }
+    }
+    
+    // Spin off the bat: top-spin about the horizontal axis across the line of travel, side-spin about the vertical
+    setShotSpin(shot) {
+        const spin = this.ballPhysics.spin;
+        const { top = 0 } = shot.spin || {};
+        const side = (shot.spin?.side || 0) * this.getHandSign(); // A left-hander's cut curls the other way
+        const up = new THREE.Vector3(0, 1, 0);
+        const travel = new THREE.Vector3(this.ballPhysics.velocity.x, 0, this.ballPhysics.velocity.z).normalize();
+        
+        spin.axis.crossVectors(up, travel).multiplyScalar(top).addScaledVector(up, -side);
+        spin.rate = spin.axis.length();
+        if (spin.rate > 0) {
+            spin.axis.divideScalar(spin.rate);
+            const kind = top > 0 ? 'top-spin' : top < 0 ? 'back-spin' : 'side-spin';
+            console.log(`🌀 ${shot.description} comes off the bat with ${kind} (${spin.rate.toFixed(0)} rev/s)`);
+        }
+    }
+    
+    // Turn off the pitch: the spinning surface grips and kicks the ball sideways (and on, for top-spin).
+    // A struck ball runs on with top-spin and checks up with back-spin
+    applySpinOnBounce(gripFactor = 1) {
+        const spin = this.ballPhysics.spin;
+        if (spin.rate === 0) return;
+        
+        const { pitchGrip, ballRadius, spinRetainedOnBounce } = this.spinSystem;
+        const surfaceSpeed = spin.rate * 2 * Math.PI * ballRadius;
+        const kick = spin.axis.clone().cross(new THREE.Vector3(0, 1, 0)).multiplyScalar(pitchGrip * gripFactor * surfaceSpeed);
+        this.ballPhysics.velocity.x += kick.x;
+        this.ballPhysics.velocity.z += kick.z;
+        
+        if (!this.cricketScore.ballHasBeenHit) {
+            console.log(`🌀 Ball turned ${kick.x >= 0 ? 'to the off' : 'to the leg'} side (${Math.abs(kick.x).toFixed(2)} m/s)`);
+        } else {
+            const travel = new THREE.Vector3(this.ballPhysics.velocity.x, 0, this.ballPhysics.velocity.z).normalize();
+            const along = kick.dot(travel);
+            console.log(`🌀 Ball ${along >= 0 ? 'runs on' : 'checks up'} off the bounce (${Math.abs(along).toFixed(2)} m/s)`);
+        }
+        
+        spin.rate *= spinRetainedOnBounce;
+        if (spin.rate < 0.5) spin.rate = 0; // Rolling - nothing left to grip
+    }
 
     createBatCollisionSphere() {
         // Create a visible collision sphere around the bat area for debugging
@@ -2165,6 +3098,11 @@ class CricketGame {
         const team = this.battingTeam;
         const score = this.cricketScore;
         
+        // ✅ NEW: Innings label and first-innings summary in match mode
+        const match = this.matchEngine.match;
+        const inningsLabel = match && match.currentInnings === 2 ? '2nd Innings' : '1st Innings';
+        const firstInnings = match ? match.innings[0] : null;
+        
         // Calculate extras total
         const extrasTotal = team.extras.byes + team.extras.legByes + 
                            team.extras.wides + team.extras.noBalls + team.extras.penalties;
@@ -2174,7 +3112,12 @@ class CricketGame {
             <div style="text-align: center; margin-bottom: 20px;">
                 <h2 style="margin: 0; color: #7490ff; font-size: 24px; font-family: 'Orbitron', Arial, sans-serif;">${team.teamName}</h2>
                 <p style="margin: 5px 0; color: #ccc;">${team.matchDetails}</p>
-                <h3 style="margin: 10px 0; color: #fff;">1st Innings</h3>
+                <h3 style="margin: 10px 0; color: #fff;">${inningsLabel}</h3>
+                ${firstInnings ? `
+                    <p style="margin: 5px 0; color: #ccc;">
+                        ${firstInnings.teamName} ${firstInnings.runs}/${firstInnings.wickets} (${firstInnings.overs.toFixed(1)} overs) · Target ${firstInnings.runs + 1}
+                    </p>
+                ` : ''}
             </div>
             
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; padding: 10px; background: rgba(116, 144, 255, 0.1); border-radius: 8px;">
@@ -2189,19 +3132,38 @@ class CricketGame {
                 </div>
             </div>
             
-            <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
-                <thead>
-                    <tr style="background: rgba(116, 144, 255, 0.2);">
-                        <th style="text-align: left; padding: 8px; border-bottom: 2px solid #7490ff;">Batsman</th>
-                        <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">How Out</th>
-                        <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">Runs</th>
-                        <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">Balls</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${this.generatePlayerRows()}
-                </tbody>
-            </table>
+            <div style="display: flex; gap: 25px; align-items: flex-start; flex-wrap: wrap; margin-bottom: 20px;">
+                <table style="flex: 3; min-width: 380px; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: rgba(116, 144, 255, 0.2);">
+                            <th style="text-align: left; padding: 8px; border-bottom: 2px solid #7490ff;">Batsman</th>
+                            <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">How Out</th>
+                            <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">Runs</th>
+                            <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">Balls</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.generatePlayerRows()}
+                    </tbody>
+                </table>
+                
+                <!-- ✅ NEW: Bowling card for the fielding side -->
+                <table style="flex: 2; min-width: 300px; border-collapse: collapse;">
+                    <thead>
+                        <tr style="background: rgba(116, 144, 255, 0.2);">
+                            <th style="text-align: left; padding: 8px; border-bottom: 2px solid #7490ff;">${this.matchEngine.bowlingCard.teamName} Bowling</th>
+                            <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">O</th>
+                            <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">M</th>
+                            <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">R</th>
+                            <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">W</th>
+                            <th style="text-align: center; padding: 8px; border-bottom: 2px solid #7490ff;">Econ</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.generateBowlerRows()}
+                    </tbody>
+                </table>
+            </div>
             
             <div style="display: flex; justify-content: space-between; margin-bottom: 15px;">
                 <div>
@@ -2262,7 +3224,7 @@ class CricketGame {
             // Format dismissal text
             let dismissalText = 'not out';
             if (player.isOut && player.dismissal) {
-                dismissalText = player.dismissal;
+                dismissalText = this.formatDismissal(player);
             }
             
             // Format runs display
@@ -2271,7 +3233,10 @@ class CricketGame {
             
             rows += `
                 <tr style="${rowStyle}">
-                    <td style="padding: 8px; ${nameStyle}">${player.name}</td>
+                    <td style="padding: 8px; ${nameStyle}">
+                        ${player.name}
+                        <div style="font-size: 11px; color: #aaa; font-weight: normal;">${this.describeBattingRatings(player)}</div>
+                    </td>
                     <td style="padding: 8px; text-align: center; font-style: italic; color: ${player.isOut ? '#ff9999' : '#99ff99'};">
                         ${dismissalText}
                     </td>
@@ -2284,102 +3249,221 @@ class CricketGame {
         return rows;
     }
 
-    // ✅ NEW: Player tracking methods
-    updateCurrentBatsmanStats(runsScored) {
-        const currentBatsman = this.battingTeam.players[this.battingTeam.currentBatsman];
-        currentBatsman.runs += runsScored;
-        currentBatsman.ballsFaced++;
-        
-        console.log(`📊 ${currentBatsman.name}: ${currentBatsman.runs} runs (${currentBatsman.ballsFaced} balls)`);
+    // How-out column: 'st J Buttler b Moeen Ali', 'c & b R Ashwin', 'run out (V Kohli)'
+    formatDismissal(player) {
+        const details = player.dismissalDetails;
+        if (!details) return player.dismissal;
+        
+        const { type, bowler, fielder } = details;
+        const byBowler = bowler ? ` b ${bowler}` : '';
+        switch (type) {
+            case 'bowled':
+                return bowler ? `b ${bowler}` : type;
+            case 'caught':
+                return fielder && fielder === bowler ? `c & b ${bowler}` : `c ${fielder || '?'}${byBowler}`;
+            case 'stumped':
+                return `st ${fielder || this.getKeeperName()}${byBowler}`;
+            case 'run out':
+                return fielder ? `run out (${fielder})` : type;
+            default:
+                return `${type}${byBowler}`;
+        }
     }
 
-    recordDismissal(dismissalType, playerIndex = null) {
-        const playerToOut = playerIndex !== null ? playerIndex : this.battingTeam.currentBatsman;
-        const player = this.battingTeam.players[playerToOut];
-        
-        console.log(`🏏 WICKET! ${player.name} ${dismissalType}`);
-        console.log(`   Before dismissal: Striker=${this.battingTeam.players[this.battingTeam.currentBatsman].name}, Non-striker=${this.battingTeam.players[this.battingTeam.currentPartner].name}`);
+    // ✅ NEW: Bowling card rows - overs, maidens, runs, wickets and economy per bowler
+    generateBowlerRows() {
+        const card = this.matchEngine.bowlingCard;
         
-        player.isOut = true;
-        player.dismissal = dismissalType;
+        if (card.bowlers.length === 0) {
+            return `
+                <tr>
+                    <td colspan="6" style="padding: 8px; text-align: center; color: #ccc; font-style: italic;">
+                        ${card.currentBowler ? `${card.currentBowler} to open the bowling` : 'Yet to bowl'}
+                    </td>
+                </tr>
+            `;
+        }
         
-        // Always promote next batsman when someone gets out (regardless of which batsman)
-        this.promoteNextBatsman();
+        let rows = '';
+        card.bowlers.forEach(bowler => {
+            // Highlight the bowler for the current over
+            const isCurrent = bowler.name === card.currentBowler;
+            const rowStyle = 'border-bottom: 1px solid rgba(78, 205, 196, 0.3);' + (isCurrent ? 'background: rgba(255, 215, 0, 0.1);' : '');
+            const nameStyle = isCurrent ? 'color: #ffd700; font-weight: bold;' : '';
+            
+            rows += `
+                <tr style="${rowStyle}">
+                    <td style="padding: 8px; ${nameStyle}">${bowler.name}</td>
+                    <td style="padding: 8px; text-align: center;">${bowler.overs.toFixed(1)}</td>
+                    <td style="padding: 8px; text-align: center;">${bowler.maidens}</td>
+                    <td style="padding: 8px; text-align: center;">${bowler.runs}</td>
+                    <td style="padding: 8px; text-align: center; font-weight: bold;">${bowler.wickets}</td>
+                    <td style="padding: 8px; text-align: center;">${bowler.economy.toFixed(2)}</td>
+                </tr>
+            `;
+        });
         
-        // Update scorecard if visible
-        if (this.scorecardUI.isVisible) {
-            this.updateScorecardDisplay();
+        const limit = this.matchEngine.getBowlerOverLimit();
+        if (Number.isFinite(limit)) {
+            rows += `
+                <tr>
+                    <td colspan="6" style="padding: 8px; text-align: center; color: #ccc; font-size: 12px;">
+                        Max ${limit} over${limit === 1 ? '' : 's'} per bowler
+                    </td>
+                </tr>
+            `;
         }
         
-        console.log(`   After promotion: Striker=${this.battingTeam.players[this.battingTeam.currentBatsman].name}, Non-striker=${this.battingTeam.players[this.battingTeam.currentPartner].name}`);
+        return rows;
     }
 
-    promoteNextBatsman() {
-        console.log('🔄 Promoting next batsman...');
-        console.log(`   Current situation: ${this.battingTeam.players[this.battingTeam.currentBatsman].name} (OUT), ${this.battingTeam.players[this.battingTeam.currentPartner].name} (${this.battingTeam.players[this.battingTeam.currentPartner].isOut ? 'OUT' : 'NOT OUT'})`);
-        
-        // Find next available batsman who isn't already playing
-        let nextBatsman = null;
-        let nextBatsmanIndex = -1;
+    // ✅ NEW: Player tracking - the batting card is owned by the match engine
+    get battingTeam() {
+        return this.matchEngine.battingTeam;
+    }
+
+    // Mirror the engine's score into cricketScore for the HUD and 3D scoreboards
+    syncScoreFromEngine() {
+        const score = this.matchEngine.score;
+        this.cricketScore.runs = score.runs;
+        this.cricketScore.wickets = score.wickets;
+        this.cricketScore.balls = score.balls;
+        this.cricketScore.overs = score.overs;
+        this.updateBatterHandedness();
+    }
+
+    // +1 for a right-handed striker, -1 for a left-hander: multiply any right-hander X by this
+    getHandSign() {
+        return this.handedness.striker === 'left' ? -1 : 1;
+    }
+
+    // Striker's batting ratings, with the defaults filled in for anything not rated
+    getBattingRatings() {
+        const striker = this.battingTeam?.players[this.battingTeam.currentBatsman];
+        return { ...this.battingRatings.defaults, ...(striker && striker.ratings) };
+    }
+
+    // Map a 0-100 rating onto a { min, max } multiplier range
+    rateBetween(range, rating) {
+        return range.min + (range.max - range.min) * Math.min(100, Math.max(0, rating)) / 100;
+    }
+
+    // 'Timing 90 · Power 70 · Pace 85 · Spin 90 · offSide/behind'
+    describeBattingRatings(player) {
+        const ratings = { ...this.battingRatings.defaults, ...player.ratings };
+        const zones = ratings.zones.length > 0 ? ` · ${ratings.zones.join('/')}` : '';
+        return `Timing ${ratings.timing} · Power ${ratings.power} · Pace ${ratings.pace} · Spin ${ratings.spin}${zones}`;
+    }
+
+    // Striker's confidence (0-1); a batter who has just walked in hasn't got their eye in yet
+    getConfidence(player = this.battingTeam?.players[this.battingTeam.currentBatsman]) {
+        if (!player || !this.confidence.levels.has(player)) return this.confidence.start;
+        return this.confidence.levels.get(player);
+    }
+
+    updateConfidence() {
+        const striker = this.matchEngine.getStriker();
+        const { perBallFaced, goodHit, playAndMiss, edge } = this.confidence;
         
-        for (let i = 0; i < this.battingTeam.players.length; i++) {
-            const player = this.battingTeam.players[i];
-            // Find a player who is not out and not currently batting
-            if (!player.isOut && i !== this.battingTeam.currentBatsman && i !== this.battingTeam.currentPartner) {
-                nextBatsman = player;
-                nextBatsmanIndex = i;
-                break;
-            }
+        let change = perBallFaced;
+        if (this.ballState.edged) {
+            change += edge;
+        } else if (this.ballState.shotOffered && !this.cricketScore.ballHasBeenHit) {
+            change += playAndMiss;
+        } else if (this.cricketScore.ballHasBeenHit) {
+            change += goodHit[this.ballState.timing] || 0;
         }
         
-        if (nextBatsman) {
-            // If partner is still not out, partner becomes striker, new batsman becomes non-striker
-            if (!this.battingTeam.players[this.battingTeam.currentPartner].isOut) {
-                console.log(`   📍 Partner ${this.battingTeam.players[this.battingTeam.currentPartner].name} becomes striker`);
-                console.log(`   📍 New batsman ${nextBatsman.name} becomes non-striker`);
-                
-                this.battingTeam.currentBatsman = this.battingTeam.currentPartner;
-                this.battingTeam.currentPartner = nextBatsmanIndex;
+        const level = Math.min(1, Math.max(0, this.getConfidence(striker) + change));
+        this.confidence.levels.set(striker, level);
+        console.log(`🧠 ${striker.name} confidence ${(level * 100).toFixed(0)}% (${change >= 0 ? '+' : ''}${(change * 100).toFixed(0)})`);
+    }
+
+    // ✅ NEW: Striker's name, score and confidence meter in the HUD
+    updateBatterHUD() {
+        const striker = this.battingTeam?.players[this.battingTeam.currentBatsman];
+        if (!striker) return;
+        
+        let hud = document.getElementById('batterHUD');
+        if (!hud) {
+            hud = document.createElement('div');
+            hud.id = 'batterHUD';
+            hud.style.cssText = `
+                position: fixed;
+                top: 100px;
+                left: 20px;
+                background: rgba(10, 10, 26, 0.9);
+                border: 2px solid rgba(116, 144, 255, 0.4);
+                border-radius: 15px;
+                padding: 12px 18px;
+                color: white;
+                font-family: 'Rajdhani', Arial, sans-serif;
+                z-index: 150;
+                box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+                min-width: 200px;
+            `;
+            
+            const inGameUI = document.getElementById('inGameUI');
+            if (inGameUI) {
+                inGameUI.appendChild(hud);
             } else {
-                // Both batsmen were out, new batsman becomes striker, find another partner
-                console.log(`   📍 Both batsmen out, ${nextBatsman.name} becomes striker`);
-                this.battingTeam.currentBatsman = nextBatsmanIndex;
-                
-                // Find another partner
-                for (let i = 0; i < this.battingTeam.players.length; i++) {
-                    const player = this.battingTeam.players[i];
-                    if (!player.isOut && i !== nextBatsmanIndex) {
-                        this.battingTeam.currentPartner = i;
-                        console.log(`   📍 ${player.name} becomes non-striker`);
-                        break;
-                    }
-                }
+                document.body.appendChild(hud);
             }
-            
-            const currentStriker = this.battingTeam.players[this.battingTeam.currentBatsman];
-            const currentNonStriker = this.battingTeam.players[this.battingTeam.currentPartner];
-            
-            console.log(`✅ New batting pair: ${currentStriker.name} (striker) & ${currentNonStriker.name} (non-striker)`);
-        } else {
-            console.log('⚠️ No more batsmen available - innings should end');
         }
+        
+        const confidence = this.getConfidence(striker);
+        const color = confidence < 0.35 ? '#ff6b6b' : confidence < 0.65 ? '#ffd700' : '#4ecdc4';
+        hud.innerHTML = `
+            <div style="font-size: 16px; font-weight: bold;">
+                🏏 ${striker.name}* <span style="color: #7490ff;">${striker.runs} (${striker.ballsFaced})</span>
+            </div>
+            <div style="font-size: 12px; color: #ccc; margin: 6px 0 4px 0;">Confidence ${(confidence * 100).toFixed(0)}%</div>
+            <div style="height: 8px; background: rgba(255, 255, 255, 0.15); border-radius: 4px; overflow: hidden;">
+                <div style="width: ${(confidence * 100).toFixed(0)}%; height: 100%; background: ${color};"></div>
+            </div>
+        `;
     }
 
-    swapBatsmen() {
-        // Swap striker and non-striker (happens on odd runs or end of over)
-        const beforeSwap = this.battingTeam.players[this.battingTeam.currentBatsman].name;
-        
-        const temp = this.battingTeam.currentBatsman;
-        this.battingTeam.currentBatsman = this.battingTeam.currentPartner;
-        this.battingTeam.currentPartner = temp;
+    // Follow the striker's hand after every strike change - a left/right pair flips the field each time they swap
+    updateBatterHandedness() {
+        const striker = this.battingTeam?.players[this.battingTeam.currentBatsman];
+        if (!striker) return;
         
-        const afterSwap = this.battingTeam.players[this.battingTeam.currentBatsman].name;
-        console.log(`🔄 Batsmen swapped: ${beforeSwap} → ${afterSwap} (now on strike)`);
+        this.handedness.striker = striker.bats === 'left' ? 'left' : 'right';
+        if (this.character) {
+            this.character.scale.x = Math.abs(this.character.scale.x) * this.getHandSign();
+        }
+        if (this.handedness.field !== this.handedness.striker) {
+            this.mirrorField();
+            this.handedness.field = this.handedness.striker;
+            this.updateNonStriker();
+            console.log(`🔁 ${striker.name} bats ${this.handedness.striker}-handed - field flipped`);
+        }
     }
 
-    update3DScoreboards() {
-        // Update both scoreboards with current score
-        if (this.scoreboards.panels.batsman) {
+    // Reflect every fielder (and every stored position they return to) and the bowler across the middle stump
+    mirrorField() {
+        this.fielders.forEach(fielder => {
+            fielder.position.x = -fielder.position.x;
+            fielder.lookAt(0, 0, 5);
+        });
+        if (this.bowler) {
+            this.bowler.position.x = -this.bowler.position.x;
+        }
+        
+        const storedPositions = [
+            this.fieldingSystem.fielderOriginalPositions,
+            this.fielderPositioning.defaultPositions,
+            this.fielderPositioning.customPositions
+        ];
+        storedPositions.forEach(positions => positions.forEach(position => {
+            position.x = -position.x;
+        }));
+    }
+
+    update3DScoreboards() {
+        // Update both scoreboards with current score
+        if (this.scoreboards.panels.batsman) {
             this.updateScoreboardText('batsman', this.scoreboards.panels.batsman);
         }
         if (this.scoreboards.panels.bowler) {
@@ -2521,28 +3605,114 @@ class CricketGame {
         const keeperPos = this.keeper.position;
         const ballHeight = ballPos.y;
         
-        // Check if ball is at reasonable height for keeper (0.5m to 3m)
-        if (ballHeight < 0.5 || ballHeight > 3.0) {
+        // ✅ IMPROVED: The keeper gathers anything below head-and-arms height, on the bounce or along the ground
+        if (ballHeight > this.keeperSystem.maxHeight) {
             return;
         }
         
-        // Check if ball has passed batsman's end (z > 10) - keeper behind stumps
-        if (ballPos.z < 10) {
+        // Check if ball has passed the stumps - keeper behind stumps (standing up, they must not take it in front)
+        if (ballPos.z < this.PITCH_LENGTH / 2 + 0.15) {
             return;
         }
         
         // Calculate distance between ball and keeper
         const distance = ballPos.distanceTo(keeperPos);
         
-        // Keeper has a good reach - 3 meter radius for catching missed balls
-        const keeperCatchRadius = 3.0;
-        
-        if (distance <= keeperCatchRadius) {
+        if (distance <= this.keeperSystem.collectRadius) {
             console.log(`🧤 Wicket Keeper caught the ball! Distance: ${distance.toFixed(1)}m`);
             this.executeWicketKeeperCatch();
         }
     }
 
+    // ✅ NEW: Stumping - after the keeper takes a missed delivery, is the batter out of the crease and unable to
+    // scramble back before the bails come off? Returns true if the batter was stumped
+    checkStumping() {
+        if (!this.character || this.cricketScore.ballHasBeenHit) {
+            return false;
+        }
+        
+        const { groundingReach, recoverSpeed, stumpingTime, recoverIn, targetZ } = this.footwork;
+        const creaseZ = this.extrasSystem.poppingCreaseZ;
+        // Still stranded: momentum carries the batter on to where they were heading before they can turn back
+        const strandedZ = recoverIn > 0 ? Math.min(this.character.position.z, targetZ) : this.character.position.z;
+        const shortOfCrease = creaseZ - (strandedZ + groundingReach);
+        if (shortOfCrease <= 0) return false;
+        
+        const keeperTime = this.isSpinDelivery() ? stumpingTime.spin : stumpingTime.pace;
+        const timeToGround = Math.max(0, recoverIn ?? 0) + shortOfCrease / recoverSpeed;
+        console.log(`🧤 Batter ${shortOfCrease.toFixed(2)}m out of the crease - needs ${timeToGround.toFixed(2)}s, keeper needs ${keeperTime.toFixed(2)}s`);
+        
+        if (timeToGround <= keeperTime) {
+            this.showExtraNotification('SAFE', 'Made it back into the crease');
+            return false;
+        }
+        
+        // Out of the crease, but a no-ball / free hit can't be stumped
+        if (!this.isDismissalPossible('stumped')) {
+            this.callNotOut('stumped');
+            return false;
+        }
+        
+        if (this.ballState.isActive && !this.ballState.isComplete) {
+            this.ballState.ballType = 'wicket';
+            this.ballState.completionReason = 'stumped';
+            this.ballState.fielder = this.getKeeperName();
+            this.ballState.runsThisBall = 0;
+            this.footwork.recoverIn = null; // Stop scrambling - it's over
+            setTimeout(() => {
+                this.forceCompleteBall();
+            }, 800);
+        }
+        this.playStumpingAnimation();
+        const how = this.footwork.overbalanced ? 'overbalanced' : 'out of the crease';
+        this.showExtraNotification('STUMPED!', `${this.getKeeperName()} whips the bails off - ${how}`);
+        return true;
+    }
+
+    isSpinDelivery() {
+        const variation = this.ballState.variation ? this.aiBowler.bowlingVariations[this.ballState.variation] : null;
+        return Boolean(variation && variation.style === 'spin');
+    }
+
+    // Keeper takes up position for the delivery
+    positionKeeper() {
+        if (!this.keeper) return;
+        this.keeper.position.z = this.isSpinDelivery() ? this.keeperSystem.standUpZ : this.keeperSystem.standBackZ;
+    }
+
+    // ✅ NEW: Keeper animation hook - the gather-and-sweep at the stumps, and the bails flying off
+    playStumpingAnimation() {
+        if (this.keeper) {
+            this.loadCharacterAnimation(this.keeper, 'Throw.fbx', 'keeper');
+            this.playKeeperAnimation('Throw');
+        }
+        this.breakWicket(0);
+    }
+
+    // Knock the bails off at one end (0 = batter's end, 1 = bowler's end)
+    breakWicket(end) {
+        for (let i = 0; i < 2; i++) {
+            const bail = this.scene.getObjectByName(`bail_${end}_${i}`);
+            if (!bail) continue;
+            bail.position.x += (i - 0.5) * 0.6;
+            bail.position.y = 0.02;
+            bail.position.z += 0.3 + i * 0.2;
+            bail.rotation.y = i * 1.2;
+        }
+    }
+
+    // Put the bails back on for the next delivery
+    restoreBails() {
+        for (let end = 0; end < 2; end++) {
+            for (let i = 0; i < 2; i++) {
+                const bail = this.scene.getObjectByName(`bail_${end}_${i}`);
+                if (!bail || !bail.userData.home) continue;
+                bail.position.copy(bail.userData.home);
+                bail.rotation.set(0, 0, Math.PI / 2);
+            }
+        }
+    }
+
     executeWicketKeeperCatch() {
         console.log(`🧤 Wicket Keeper collected the ball cleanly - Dot ball!`);
         
@@ -2563,6 +3733,32 @@ class CricketGame {
         this.runningSystem.isRunning = false;
         this.runningSystem.runState = 'idle';
         
+        // ✅ NEW: A ball the batter played at and only just missed - appeal for caught behind
+        const appeal = this.judgeCaughtBehind();
+        if (appeal && appeal.decision === 'out') {
+            this.ballState.appeal = appeal;
+            if (this.ballState.isActive && !this.ballState.isComplete) {
+                this.ballState.ballType = 'wicket';
+                this.ballState.completionReason = 'caught';
+                this.ballState.fielder = this.getKeeperName();
+                this.ballState.runsThisBall = 0;
+                setTimeout(() => {
+                    this.forceCompleteBall();
+                }, 800);
+            }
+            this.showExtraNotification('CAUGHT BEHIND!', `${this.getKeeperName()} takes the edge`);
+            return;
+        }
+        if (appeal) {
+            this.ballState.appeal = appeal;
+            this.showExtraNotification('NOT OUT', 'Caught-behind appeal turned down');
+        }
+        
+        // ✅ NEW: Batter stranded down the pitch - the keeper whips the bails off
+        if (this.checkStumping()) {
+            return;
+        }
+        
         // Complete the ball as dot ball (0 runs)
         if (this.ballState.isActive && !this.ballState.isComplete) {
             this.ballState.ballType = 'fielded';
@@ -2645,7 +3841,7 @@ class CricketGame {
         
         this.batSwing.isSwinging = true;
         this.batSwing.shotType = shotType;
-        this.batSwing.swingDirection.set(shot.direction[0], shot.direction[1], shot.direction[2]).normalize();
+        this.batSwing.swingDirection.set(shot.direction[0] * this.getHandSign(), shot.direction[1], shot.direction[2]).normalize();
         this.batSwing.swingPower = shot.power;
         this.batSwing.swingStartTime = Date.now();
         this.batSwing.batSpeed = shot.power * 15; // Convert power to bat speed
@@ -2698,9 +3894,11 @@ class CricketGame {
     hitBall() {
         if (!this.cricketBall || !this.ballPhysics.isMoving || !this.batSwing.isSwinging) return;
         
+        const shotRandom = this.random('shot');
+        
         // Get shot information
         const shotType = this.batSwing.shotType;
-        const shot = this.shotTypes[shotType] || { 
+        const shot = shotType === 'placed' ? this.batSwing.placedShot : this.shotTypes[shotType] || { 
             power: this.batSwing.swingPower, 
             direction: [this.batSwing.swingDirection.x, this.batSwing.swingDirection.y, this.batSwing.swingDirection.z],
             height: 0.2 
@@ -2709,12 +3907,17 @@ class CricketGame {
         console.log(`🏏 Executing ${shot.description}...`);
         console.log(`Shot data: Power=${shot.power}, Direction=[${shot.direction}], Height=${shot.height}`);
         
+        // ✅ NEW: Height judged at contact if the ball is hit before the popping crease (a hit ball is never a wide)
+        this.judgeDeliveryAtCrease(true);
+        
         // ✅ CRICKET RULES FIX: Mark that ball has been hit (for boundary scoring logic)
         this.cricketScore.ballHasBeenHit = true;
         
         // ✅ ENHANCED: Get comprehensive timing analysis (moved before trail color)
         const timingResult = this.calculateTimingMultiplier();
         const { power: powerMultiplier, timing, directionalAccuracy, distance } = timingResult;
+        this.ballState.shotType = shotType;
+        this.ballState.timing = timing;
         
         // ✅ NEW: Set trail color based on timing quality instead of just shot type
         this.setTrailColorForTiming(timing);
@@ -2722,46 +3925,59 @@ class CricketGame {
         // ✅ NEW: Calculate base shot direction with timing-based variation
         let hitDirection = new THREE.Vector3(shot.direction[0], shot.direction[1], shot.direction[2]).normalize();
         
-        // ✅ CRICKET REALISM: Apply timing-based directional changes
-        if (timing !== 'perfect') {
+        // ✅ NEW: Shot directions are written for a right-hander (a placed shot is already aimed at the field)
+        const sign = this.getHandSign();
+        if (this.shotTypes[shotType]) {
+            hitDirection.x *= sign;
+        }
+        
+        // ✅ NEW: A placed shot misses its aim by an angle that grows with worse timing
+        let elevationScale = 1;
+        if (shotType === 'placed') {
+            elevationScale = this.applyPlacementError(hitDirection, timing);
+        } else if (timing !== 'perfect') {
+            // ✅ CRICKET REALISM: Apply timing-based directional changes
             const variationStrength = 1.0 - directionalAccuracy;
             
             // ✅ Different types of mistimed shots
             if (timing === 'poor') {
                 // Poor timing can cause edges, top edges, or complete mishits
-                const mishitType = Math.random();
+                const mishitType = shotRandom.next();
                 
                 if (mishitType < 0.3 && distance > 2.5) {
                     // Outside edge - ball goes more toward slips/third man
                     console.log('🚨 Outside edge! Ball heading to slips');
-                    hitDirection.x += 0.6; // More toward off-side
+                    this.ballState.edged = true;
+                    hitDirection.x += 0.6 * sign; // More toward off-side
                     hitDirection.z += 0.4; // More behind wicket
                     hitDirection.y -= 0.2; // Lower trajectory
                 } else if (mishitType < 0.5 && distance < 1.0) {
                     // Inside edge - ball goes toward leg side/keeper
                     console.log('🚨 Inside edge! Ball deflected leg-side');
-                    hitDirection.x -= 0.4; // Toward leg side
+                    this.ballState.edged = true;
+                    hitDirection.x -= 0.4 * sign; // Toward leg side
                     hitDirection.z += 0.3; // Slightly behind
                     hitDirection.y -= 0.3; // Much lower
                 } else if (mishitType < 0.7) {
                     // Top edge - high but weak shot
                     console.log('🚨 Top edge! High but weak');
+                    this.ballState.edged = true;
                     hitDirection.y += 0.5; // Much higher
-                    hitDirection.x += (Math.random() - 0.5) * 0.8; // Random sideways
-                    hitDirection.z += (Math.random() - 0.5) * 0.6;
+                    hitDirection.x += (shotRandom.next() - 0.5) * 0.8; // Random sideways
+                    hitDirection.z += (shotRandom.next() - 0.5) * 0.6;
                 } else {
                     // General mishit - significant directional variation
                     console.log('🚨 Mishit! Ball going off-target');
-                    hitDirection.x += (Math.random() - 0.5) * variationStrength * 1.2;
-                    hitDirection.z += (Math.random() - 0.5) * variationStrength * 1.0;
-                    hitDirection.y += (Math.random() - 0.5) * variationStrength * 0.8;
+                    hitDirection.x += (shotRandom.next() - 0.5) * variationStrength * 1.2;
+                    hitDirection.z += (shotRandom.next() - 0.5) * variationStrength * 1.0;
+                    hitDirection.y += (shotRandom.next() - 0.5) * variationStrength * 0.8;
                 }
             } else {
                 // Good/okay timing: smaller directional variations
                 console.log(`📊 ${timing.toUpperCase()} timing - adding ${(variationStrength * 100).toFixed(0)}% directional variation`);
-                hitDirection.x += (Math.random() - 0.5) * variationStrength * 0.6;
-                hitDirection.z += (Math.random() - 0.5) * variationStrength * 0.4;
-                hitDirection.y += (Math.random() - 0.5) * variationStrength * 0.3;
+                hitDirection.x += (shotRandom.next() - 0.5) * variationStrength * 0.6;
+                hitDirection.z += (shotRandom.next() - 0.5) * variationStrength * 0.4;
+                hitDirection.y += (shotRandom.next() - 0.5) * variationStrength * 0.3;
             }
             
             // Re-normalize after variation
@@ -2770,13 +3986,15 @@ class CricketGame {
         
         // ✅ ENHANCED: Calculate final power with better scaling
         const basePower = shot.power * 10; // Increased base power for more dramatic differences
-        const finalPower = basePower * powerMultiplier;
+        // ✅ NEW: The striker's power rating - a tail-ender's perfect drive still doesn't go as far
+        const powerRating = this.rateBetween(this.battingRatings.power, this.getBattingRatings().power);
+        const finalPower = basePower * powerMultiplier * powerRating;
         
         // Apply velocity in calculated direction
         this.ballPhysics.velocity.copy(hitDirection.multiplyScalar(finalPower));
         
         // ✅ ENHANCED: Height calculation affected by timing
-        let heightVelocity = shot.height * 20; // Increased from 15 to 20 for better loft
+        let heightVelocity = shot.height * 20 * elevationScale; // Increased from 15 to 20 for better loft
         let startingHeight = 0.5; // Default starting height
         let loftBoost = 1.0; // Default boost multiplier
         
@@ -2818,9 +4036,9 @@ class CricketGame {
         
         // Apply timing-based height variation
         if (timing === 'poor') {
-            heightVelocity *= 0.6 + Math.random() * 0.4; // 60%-100% for poor timing
+            heightVelocity *= 0.6 + shotRandom.next() * 0.4; // 60%-100% for poor timing
         } else if (timing === 'okay') {
-            heightVelocity *= 0.8 + Math.random() * 0.3; // 80%-110% for okay timing
+            heightVelocity *= 0.8 + shotRandom.next() * 0.3; // 80%-110% for okay timing
         }
         // Perfect/good timing keeps enhanced height
         
@@ -2829,6 +4047,9 @@ class CricketGame {
         // ✅ ENHANCED: Add realistic physics-based variation instead of just random
         this.addRealisticShotVariation(timing, directionalAccuracy);
         
+        // ✅ NEW: The bat takes the bowler's spin off and puts the shot's own on
+        this.setShotSpin(shot);
+        
         // ✅ NEW: Display timing feedback
         const timingEmoji = {
             'perfect': '🎯',
@@ -2854,6 +4075,7 @@ class CricketGame {
 
     addRealisticShotVariation(timing, directionalAccuracy) {
         // ✅ NEW: Physics-based shot variation that reflects real cricket mechanics
+        const shotRandom = this.random('shot');
         const velocity = this.ballPhysics.velocity;
         const speed = velocity.length();
         
@@ -2879,31 +4101,31 @@ class CricketGame {
         if (timing === 'poor') {
             // Poor timing: more unpredictable, can have sudden direction changes
             const unpredictability = 1.5; // Higher chaos factor
-            velocity.x += (Math.random() - 0.5) * baseVariation * speed * unpredictability;
-            velocity.y += (Math.random() - 0.5) * baseVariation * speed * unpredictability * 0.8;
-            velocity.z += (Math.random() - 0.5) * baseVariation * speed * unpredictability;
+            velocity.x += (shotRandom.next() - 0.5) * baseVariation * speed * unpredictability;
+            velocity.y += (shotRandom.next() - 0.5) * baseVariation * speed * unpredictability * 0.8;
+            velocity.z += (shotRandom.next() - 0.5) * baseVariation * speed * unpredictability;
             
             // ✅ Poor timing often causes the ball to lose speed faster (mishits)
-            const speedLoss = 0.85 + Math.random() * 0.15; // 85%-100% speed retention
+            const speedLoss = 0.85 + shotRandom.next() * 0.15; // 85%-100% speed retention
             velocity.multiplyScalar(speedLoss);
             
         } else if (timing === 'okay') {
             // Okay timing: moderate variation with slight bias toward edges
-            velocity.x += (Math.random() - 0.5) * baseVariation * speed;
-            velocity.y += (Math.random() - 0.5) * baseVariation * speed * 0.6;
-            velocity.z += (Math.random() - 0.5) * baseVariation * speed * 0.8;
+            velocity.x += (shotRandom.next() - 0.5) * baseVariation * speed;
+            velocity.y += (shotRandom.next() - 0.5) * baseVariation * speed * 0.6;
+            velocity.z += (shotRandom.next() - 0.5) * baseVariation * speed * 0.8;
             
         } else {
             // Good/Perfect timing: minimal, controlled variation
-            velocity.x += (Math.random() - 0.5) * baseVariation * speed * 0.7;
-            velocity.y += (Math.random() - 0.5) * baseVariation * speed * 0.5;
-            velocity.z += (Math.random() - 0.5) * baseVariation * speed * 0.6;
+            velocity.x += (shotRandom.next() - 0.5) * baseVariation * speed * 0.7;
+            velocity.y += (shotRandom.next() - 0.5) * baseVariation * speed * 0.5;
+            velocity.z += (shotRandom.next() - 0.5) * baseVariation * speed * 0.6;
         }
         
         // ✅ REALISTIC: Add small amount of spin-based deviation (like real cricket ball)
         const spinEffect = timing === 'perfect' ? 0.01 : 0.03;
-        velocity.x += (Math.random() - 0.5) * spinEffect * speed;
-        velocity.z += (Math.random() - 0.5) * spinEffect * speed;
+        velocity.x += (shotRandom.next() - 0.5) * spinEffect * speed;
+        velocity.z += (shotRandom.next() - 0.5) * spinEffect * speed;
         
         console.log(`🌪️ Applied ${timing} shot variation: ${(baseVariation * 100).toFixed(1)}% base variation`);
     }
@@ -2920,22 +4142,33 @@ class CricketGame {
         const ballVelocity = this.ballPhysics.velocity.length();
         const swingDuration = Date.now() - this.batSwing.swingStartTime;
         const optimalSwingTime = 200; // milliseconds - optimal swing timing window
-        const swingTimingFactor = Math.max(0.3, 1.0 - Math.abs(swingDuration - optimalSwingTime) / 400); // More gradual penalty
+        // ✅ NEW: Footwork to the length makes timing easier, the wrong footwork harder
+        const footworkFactor = this.getFootworkMatchup();
+        // ✅ NEW: A good batter has a wider timing window and plays pace or spin better than a tail-ender
+        const ratings = this.getBattingRatings();
+        const facing = this.isSpinDelivery() ? 'spin' : 'pace';
+        const timingWindow = 400 * this.rateBetween(this.battingRatings.timingWindow, ratings.timing);
+        const matchupFactor = this.rateBetween(this.battingRatings.matchup, ratings[facing]);
+        const swingTimingFactor = Math.min(1, Math.max(0.3, 1.0 - Math.abs(swingDuration - optimalSwingTime) / timingWindow) * footworkFactor * matchupFactor); // More gradual penalty
         
         let powerMultiplier, timingCategory, directionalAccuracy;
         
+        // ✅ NEW: A batter with their eye in finds the middle more easily than one who has just come in
+        const confidence = this.getConfidence();
+        const bandShift = this.confidence.bandShift * (confidence - 0.5) * 2;
+        
         // ✅ DEBUG: Show timing calculation details
-        console.log(`🔍 Timing Debug: distance=${distance.toFixed(2)}m, swingDuration=${swingDuration}ms, swingFactor=${swingTimingFactor.toFixed(3)}`);
+        console.log(`🔍 Timing Debug: distance=${distance.toFixed(2)}m, swingDuration=${swingDuration}ms, swingFactor=${swingTimingFactor.toFixed(3)}, footwork=${footworkFactor.toFixed(2)}, vs ${facing}=${matchupFactor.toFixed(2)}, confidence=${(confidence * 100).toFixed(0)}%`);
         
         // ✅ ENHANCED: Balanced cricket timing zones with smoother transitions
         // Primary factor is swing timing, with distance as secondary factor
-        if (distance >= 0.8 && distance <= 2.5 && swingTimingFactor > 0.80) {
+        if (distance >= 0.8 && distance <= 2.5 && swingTimingFactor > 0.80 - bandShift) {
             // Perfect timing: Excellent swing timing + good ball position
             timingCategory = 'perfect';
             powerMultiplier = 1.4; // Increased perfect timing bonus
             directionalAccuracy = 1.0; // Shot goes exactly where intended
             console.log('🎯 PERFECT timing! Pure middle of the bat');
-        } else if (distance >= 0.6 && distance <= 3.0 && swingTimingFactor > 0.60) {
+        } else if (distance >= 0.6 && distance <= 3.0 && swingTimingFactor > 0.60 - bandShift) {
             // Good timing: Good swing timing + decent ball position
             timingCategory = 'good';
             powerMultiplier = 1.1;
@@ -2965,6 +4198,14 @@ class CricketGame {
             }
         }
         
+        // ✅ NEW: Hitting into a favourite scoring zone comes off the bat sweeter and truer
+        const shotZone = this.determineShotZone(this.batSwing.swingDirection);
+        if (ratings.zones.includes(shotZone)) {
+            powerMultiplier *= this.battingRatings.zoneBonus.power;
+            directionalAccuracy = Math.min(1, directionalAccuracy + this.battingRatings.zoneBonus.accuracy);
+            console.log(`💪 Into a favourite scoring zone (${shotZone})`);
+        }
+        
         // ✅ NEW: Store detailed timing info for shot variation
         this.batSwing.timing = timingCategory;
         this.batSwing.timingDetails = {
@@ -3131,7 +4372,7 @@ class CricketGame {
         // Determine primary direction
         if (Math.abs(vx) > Math.abs(vz)) {
             // Ball is going more sideways than forward/backward
-            return vx > 0 ? 'offSide' : 'legSide';
+            return vx * this.getHandSign() > 0 ? 'offSide' : 'legSide';
         } else if (vz > 0) {
             // Ball is going behind the batsman
             return 'behind';
@@ -3218,15 +4459,21 @@ class CricketGame {
         const adjustedX = currentPos.x + velocity.x * effectiveTimeToLand * frictionFactor;
         const adjustedZ = currentPos.z + velocity.z * effectiveTimeToLand * frictionFactor;
         
-        // Add smaller prediction uncertainty since we update dynamically
-        const uncertainty = 0.2; // 0.2m uncertainty (reduced from 0.5m)
-        const uncertaintyX = (Math.random() - 0.5) * uncertainty;
-        const uncertaintyZ = (Math.random() - 0.5) * uncertainty;
+        // Add smaller prediction uncertainty since we update dynamically. Drawn once per delivery - this runs
+        // every frame during a chase, and per-frame draws would tie the 'fielding' stream to the frame rate
+        if (!this.fieldingSystem.landingError) {
+            const fieldingRandom = this.random('fielding');
+            const uncertainty = 0.2; // 0.2m uncertainty (reduced from 0.5m)
+            this.fieldingSystem.landingError = {
+                x: (fieldingRandom.next() - 0.5) * uncertainty,
+                z: (fieldingRandom.next() - 0.5) * uncertainty
+            };
+        }
         
         return new THREE.Vector3(
-            adjustedX + uncertaintyX, 
+            adjustedX + this.fieldingSystem.landingError.x, 
             targetHeight, 
-            adjustedZ + uncertaintyZ
+            adjustedZ + this.fieldingSystem.landingError.z
         );
     }
 
@@ -3289,6 +4536,8 @@ class CricketGame {
                 this.updateFielderReturning(fielder, deltaTime);
             } else if (fielderState === 'anticipating') {
                 this.updateFielderAnticipating(fielder, deltaTime);
+            } else if (fielderState === 'backingUp') {
+                this.updateFielderBackingUp(fielder, deltaTime);
             }
         });
     }
@@ -3604,7 +4853,7 @@ class CricketGame {
             
             // Start throwing ball back to bowler after animation starts
             setTimeout(() => {
-                this.throwBallToBowler(fielder);
+                this.throwBallIn(fielder);
                 
                 // After throwing, start returning to original position
                 setTimeout(() => {
@@ -3648,17 +4897,182 @@ class CricketGame {
         }
     }
 
-    throwBallToBowler(fielder) {
+    // ✅ NEW: Throw the ball in - a lob back to the bowler with no run on, otherwise to whichever end the run out is
+    // likelier, flat to the bowler or keeper or as a shy at the stumps
+    throwBallIn(fielder) {
         if (!this.bowler || !this.cricketBall) return;
         
-        console.log(`🎯 ${fielder.userData.description} is throwing ball back to bowler!`);
+        const throwing = this.throwSystem;
+        const plan = this.chooseThrow(fielder);
+        console.log(`🎯 ${fielder.userData.description} throws ${plan.style === 'directHit' ? 'at the stumps' : plan.style} to the ${plan.end}'s end (${plan.distance.toFixed(1)}m)`);
+        this.fieldingSystem.thrower = fielder.userData.description;
         
-        // Notify bowler to prepare for incoming throw
-        this.prepareBowlerForIncomingThrow();
+        throwing.inFlight = true;
+        throwing.target = plan.end;
+        throwing.style = plan.style;
+        throwing.looseBall = false;
+        throwing.lastPosition.copy(this.cricketBall.position);
+        throwing.throwsThisBall++;
         
         // Set trail color for fielder throws (green)
         this.setBallTrailColor(0x44ff44);
+        this.ballPhysics.spin.rate = 0; // ✅ NEW: No spin on the return
+        
+        // The play now runs until the ball is gathered (endThrowPlay) - a throw that gets past keeps going
+        if (plan.style === 'lob') {
+            this.prepareBowlerForIncomingThrow();
+            this.lobBallToBowler(fielder);
+        } else {
+            const arm = fielder.userData.arm || this.runCalling.defaultArm;
+            const from = this.cricketBall.position.clone();
+            let to;
+            let speed;
+            if (plan.style === 'flat') {
+                const receiver = plan.end === 'bowler' ? this.bowler : this.keeper;
+                if (plan.end === 'bowler') {
+                    this.prepareBowlerForIncomingThrow();
+                } else {
+                    this.keeperComeUpToStumps();
+                }
+                to = receiver ? receiver.position.clone() : this.getStumpsPosition(plan.end);
+                to.y += throwing.receiverHeight;
+                speed = arm * throwing.flatSpeed;
+                
+                // ✅ NEW: Now and then one gets away from them - the longer the throw, the likelier
+                const throwRandom = this.random('throw');
+                const wildChance = Math.min(throwing.wildThrow.max, throwing.wildThrow.base + throwing.wildThrow.perMetre * plan.distance);
+                if (throwRandom.chance(wildChance)) {
+                    this.aimWide(from, to, throwing.wildBy, throwRandom);
+                    to.y += throwRandom.range(0, 1.5);
+                    console.log(`😬 Wild throw from ${fielder.userData.description}!`);
+                }
+            } else {
+                to = this.aimDirectHit(plan.end, plan.distance);
+                speed = arm * throwing.directHitSpeed;
+            }
+            this.ballPhysics.velocity.copy(this.getThrowVelocity(from, to, speed));
+            this.ballPhysics.isMoving = true;
+            
+            // ✅ NEW: Someone backs up behind the stumps in case it gets past
+            this.assignBackupFielder(plan.end, from, fielder);
+        }
+    }
+    
+    // ✅ NEW: Nearest free fielder runs round behind the stumps the ball's thrown to, in line with the throw
+    assignBackupFielder(end, from, thrower) {
+        const throwing = this.throwSystem;
+        const stumps = this.getStumpsPosition(end);
+        const line = new THREE.Vector3(stumps.x - from.x, 0, stumps.z - from.z).normalize();
+        const spot = stumps.clone().addScaledVector(line, throwing.backupDistance);
+        
+        const backup = this.fielders
+            .filter(f => f !== thrower && this.fieldingSystem.fielderStates.get(f.userData.description) === 'idle')
+            .reduce((best, f) => !best || f.position.distanceTo(spot) < best.position.distanceTo(spot) ? f : best, null);
+        if (!backup) return;
+        
+        console.log(`🛡️ ${backup.userData.description} backs up at the ${end}'s end`);
+        throwing.backupFielder = backup;
+        backup.userData.backupSpot = spot;
+        backup.userData.backupInPlace = false;
+        this.fieldingSystem.fielderStates.set(backup.userData.description, 'backingUp');
+        this.waitForAnimationAndPlay(backup, 'runningcharacter', true);
+    }
+    
+    // Run round to the backing-up spot, then wait there facing the stumps
+    updateFielderBackingUp(fielder, deltaTime) {
+        const spot = fielder.userData.backupSpot;
+        if (!spot || fielder.userData.backupInPlace) return;
+        
+        const direction = spot.clone().sub(fielder.position);
+        direction.y = 0;
+        const distance = direction.length();
+        if (distance < 0.5) {
+            fielder.userData.backupInPlace = true;
+            fielder.lookAt(0, 0, spot.z < 0 ? -this.PITCH_LENGTH / 2 : this.PITCH_LENGTH / 2);
+            this.playCricketPlayerAnimation(fielder, 'standingidle');
+            return;
+        }
+        
+        direction.normalize();
+        const moveSpeed = 10; // Same pace as a chasing fielder
+        fielder.position.addScaledVector(direction, Math.min(moveSpeed * deltaTime, distance));
+        fielder.lookAt(fielder.position.clone().add(direction));
+    }
+    
+    // Where the throw goes and how. Each end is scored by how long the batter at risk there still needs to make
+    // their ground once the ball arrives; flat to the receiver when that leaves time to gather, a shy at the
+    // stumps when it's close and only a direct hit will do
+    chooseThrow(fielder) {
+        const throwing = this.throwSystem;
+        const running = this.runningSystem;
+        const ball = this.cricketBall.position;
+        const arm = fielder.userData.arm || this.runCalling.defaultArm;
+        
+        const ends = ['bowler', 'batsman'].map(end => {
+            const stumps = this.getStumpsPosition(end);
+            const distance = Math.hypot(stumps.x - ball.x, stumps.z - ball.z);
+            return { end, distance, margin: this.getTimeToGround(end) - distance / (arm * throwing.flatSpeed) };
+        });
+        
+        // No run on - back to the bowler
+        if (!running.isRunning && !running.partnerStayedAt) {
+            return { ...ends[0], style: 'lob' };
+        }
         
+        const best = ends[0].margin >= ends[1].margin ? ends[0] : ends[1];
+        const shy = best.margin < throwing.collectTime && best.margin > -throwing.shyWindow && best.distance <= throwing.directHitRange;
+        console.log(`🧠 Throw options: bowler's end ${ends[0].margin.toFixed(2)}s, keeper's end ${ends[1].margin.toFixed(2)}s`);
+        return { ...best, style: shy ? 'directHit' : 'flat' };
+    }
+    
+    // Aim point for a shy at the stumps - the accuracy roll decides whether it's on target or goes wide
+    aimDirectHit(end, distance) {
+        const throwing = this.throwSystem;
+        const from = this.cricketBall.position;
+        const aim = this.getStumpsPosition(end);
+        aim.y = throwing.stumpAimHeight;
+        
+        const throwRandom = this.random('throw');
+        const chance = Math.max(throwing.accuracy.min, throwing.accuracy.base - throwing.accuracy.perMetre * distance);
+        const onTarget = throwRandom.chance(chance);
+        if (!onTarget) {
+            this.aimWide(from, aim, throwing.missBy, throwRandom);
+        }
+        console.log(`🎯 Shy at the stumps from ${distance.toFixed(1)}m (${(chance * 100).toFixed(0)}% chance) - ${onTarget ? 'on target' : 'wide'}`);
+        return aim;
+    }
+    
+    // Push an aim point sideways off the line of the throw, to either side, by a random amount in range
+    aimWide(from, aim, range, throwRandom) {
+        const across = new THREE.Vector3(-(aim.z - from.z), 0, aim.x - from.x).normalize();
+        const side = throwRandom.chance(0.5) ? 1 : -1;
+        return aim.addScaledVector(across, side * throwRandom.range(range.min, range.max));
+    }
+    
+    // Velocity that carries the ball from `from` to `to` at the given horizontal speed (throws fly without drag)
+    getThrowVelocity(from, to, speed) {
+        const time = Math.max(Math.hypot(to.x - from.x, to.z - from.z) / speed, 0.05);
+        return new THREE.Vector3(
+            (to.x - from.x) / time,
+            (to.y - from.y) / time - 0.5 * this.ballPhysics.gravity * time,
+            (to.z - from.z) / time
+        );
+    }
+    
+    // Middle stump at the bowler's or the batter's ('batsman') end
+    getStumpsPosition(end) {
+        return new THREE.Vector3(0, 0, end === 'bowler' ? -this.PITCH_LENGTH / 2 : this.PITCH_LENGTH / 2);
+    }
+    
+    // Keeper runs up to the stumps to take a throw at the batter's end
+    keeperComeUpToStumps() {
+        if (!this.keeper) return;
+        this.keeper.position.set(0, 0, this.PITCH_LENGTH / 2 + this.throwSystem.keeperStandOff);
+        this.playCricketPlayerAnimation(this.keeper, 'standingidle');
+    }
+    
+    // The old return: a 30° arc to the bowler's chest, used when there's no run on
+    lobBallToBowler(fielder) {
         // Calculate positions
         const fielderPos = this.cricketBall.position.clone();
         const bowlerPos = this.bowler.position.clone();
@@ -3675,8 +5089,9 @@ class CricketGame {
         const maxThrowDistance = 60; // Maximum expected throw distance on cricket field
         const normalizedDistance = Math.min(distance / maxThrowDistance, 1.0); // Normalize to 0-1
         
-        // Moderate base speed to prevent overshooting
-        const baseThrowSpeed = 12; // Reduced from 18
+        // Moderate base speed to prevent overshooting - stronger arms throw flatter and quicker
+        const armFactor = (fielder.userData.arm || this.runCalling.defaultArm) / this.runCalling.defaultArm;
+        const baseThrowSpeed = 12 * armFactor; // Reduced from 18
         const distanceMultiplier = 1 + (normalizedDistance * 0.8); // Scale from 1.0 to 1.8 max
         const throwSpeed = baseThrowSpeed * distanceMultiplier;
         
@@ -3709,16 +5124,172 @@ class CricketGame {
         this.ballPhysics.velocity.y = finalThrowSpeed * Math.sin(launchAngle);
         
         this.ballPhysics.isMoving = true;
+    }
+    
+    // ✅ NEW: Throw arriving - the keeper gathers one at their end (the bowler's catch zone handles the other), a shy
+    // is judged as it passes the stumps, and anything that gets past the hands or stops short is loose. Passing is
+    // the closest approach of this frame's movement, so a fast throw can't skip through
+    checkThrowArrival() {
+        const throwing = this.throwSystem;
+        if (!throwing.inFlight || !this.cricketBall) return;
+        const ball = this.cricketBall.position;
+        const shy = throwing.style === 'directHit';
+        
+        if (!shy && throwing.target === 'batsman' && this.keeper && this.ballPhysics.isMoving) {
+            const gloves = this.keeper.position.clone();
+            gloves.y += throwing.receiverHeight;
+            if (ball.distanceTo(gloves) <= throwing.keeperCollectRadius) {
+                this.keeperCollectThrow();
+                return;
+            }
+        }
+        
+        // Ran out of pace before it got there
+        if (!this.ballPhysics.isMoving) {
+            if (shy) {
+                this.resolveDirectHit(false);
+            } else {
+                this.throwGetsPast();
+            }
+            return;
+        }
         
+        const receiver = throwing.target === 'bowler' ? this.bowler : this.keeper;
+        const target = shy || !receiver ? this.getStumpsPosition(throwing.target) : receiver.position;
+        const previous = throwing.lastPosition.clone();
+        throwing.lastPosition.copy(ball);
+        const moveX = ball.x - previous.x;
+        const moveZ = ball.z - previous.z;
+        const lengthSq = moveX * moveX + moveZ * moveZ;
+        if (lengthSq === 0) return;
         
-        // Calculate estimated time to target for timeout
-        const horizontalSpeed = Math.sqrt(this.ballPhysics.velocity.x ** 2 + this.ballPhysics.velocity.z ** 2);
-        const estimatedTime = horizontalDistance / horizontalSpeed;
+        const t = ((target.x - previous.x) * moveX + (target.z - previous.z) * moveZ) / lengthSq;
+        if (t < 0 || t > 1) return; // Not level with the stumps / hands yet
         
-        // Reset fielding system after throw lands
+        if (shy) {
+            const lbw = this.lbwSystem;
+            const missBy = Math.hypot(previous.x + moveX * t - target.x, previous.z + moveZ * t - target.z);
+            const height = previous.y + (ball.y - previous.y) * t;
+            this.resolveDirectHit(missBy <= lbw.stumpHalfWidth + lbw.ballRadius && height <= lbw.stumpHeight + lbw.ballRadius);
+        } else {
+            this.throwGetsPast();
+        }
+    }
+    
+    // Throw went past the bowler or keeper without being gathered (or died before reaching them)
+    throwGetsPast() {
+        const throwing = this.throwSystem;
+        throwing.inFlight = false;
+        this.bowlerReceivingSystem.isReceivingThrow = false;
+        console.log(`💨 The throw gets past at the ${throwing.target}'s end - overthrows on!`);
+        this.setLooseBall();
+    }
+    
+    // Ball running free after a throw: overthrows are on until someone fields it
+    setLooseBall() {
+        const throwing = this.throwSystem;
+        const running = this.runningSystem;
+        throwing.looseBall = true;
+        if (throwing.overthrowFrom === null) {
+            // The run underway when the throw went astray isn't an overthrow
+            throwing.overthrowFrom = running.runsCompleted + (running.isRunning ? 1 : 0);
+        }
+        this.chaseLooseBall();
+    }
+    
+    // Runs taken since a throw first got loose
+    countOverthrows() {
+        const from = this.throwSystem.overthrowFrom;
+        return from === null ? 0 : Math.max(0, Math.min(this.runningSystem.runsCompleted - from, this.getRunsScored()));
+    }
+    
+    // Ball's dead - gathered by the bowler or keeper, or the wicket's broken - so the fielders walk back in
+    endThrowPlay() {
+        const throwing = this.throwSystem;
+        throwing.inFlight = false;
+        throwing.looseBall = false;
         setTimeout(() => {
             this.resetFieldingSystem();
-        }, Math.max(2500, estimatedTime * 1000 + 1000)); // Dynamic timeout based on throw time
+        }, throwing.resetDelay);
+    }
+    
+    // A shy at the stumps either breaks the wicket - a run out if the batter at risk is short - or the ball runs on
+    resolveDirectHit(hit) {
+        const throwing = this.throwSystem;
+        const end = throwing.target;
+        throwing.inFlight = false;
+        
+        if (hit) {
+            console.log(`🎯💥 DIRECT HIT at the ${end}'s end!`);
+            const runner = this.checkForRunOut(end);
+            if (runner) {
+                this.executeRunOut(runner, end, true);
+                return;
+            }
+            this.breakWicket(end === 'bowler' ? 1 : 0);
+            // Deflects off the stumps and keeps going, much slower
+            this.ballPhysics.velocity.multiplyScalar(-0.25);
+        } else {
+            console.log(`💨 Missed the stumps at the ${end}'s end - the ball runs on!`);
+        }
+        
+        this.setLooseBall();
+    }
+    
+    // Send a fielder after a ball that got past the stumps - whoever was backing up, otherwise the usual
+    // assignment while it's still rolling, or the nearest free fielder once it has stopped
+    chaseLooseBall() {
+        this.fieldingSystem.chasingFielder = null;
+        
+        const backup = this.throwSystem.backupFielder;
+        if (backup && this.fieldingSystem.fielderStates.get(backup.userData.description) === 'backingUp') {
+            console.log(`🛡️ ${backup.userData.description} was backing up - after it!`);
+            this.throwSystem.backupFielder = null;
+            backup.userData.backupSpot = null;
+            this.fieldingSystem.chasingFielder = backup;
+            this.fieldingSystem.fielderStates.set(backup.userData.description, 'chasing');
+            this.startFielderChasing(backup);
+            return;
+        }
+        
+        if (this.ballPhysics.isMoving) {
+            this.assignFielderIfNeeded();
+            return;
+        }
+        
+        const ball = this.cricketBall.position;
+        const nearest = this.fielders
+            .filter(f => this.fieldingSystem.fielderStates.get(f.userData.description) === 'idle')
+            .reduce((best, f) => !best || f.position.distanceTo(ball) < best.position.distanceTo(ball) ? f : best, null);
+        if (!nearest) return;
+        
+        console.log(`🏃 ${nearest.userData.description} goes after the loose ball`);
+        this.fieldingSystem.chasingFielder = nearest;
+        this.fieldingSystem.fielderStates.set(nearest.userData.description, 'chasing');
+        this.startFielderChasing(nearest);
+    }
+    
+    // Keeper takes a flat throw over the stumps at the batter's end
+    keeperCollectThrow() {
+        this.endThrowPlay();
+        
+        const runOutBatter = this.checkForRunOut('batsman');
+        if (runOutBatter) {
+            this.executeRunOut(runOutBatter, 'batsman');
+            return;
+        }
+        
+        console.log(`🧤 Keeper gathers the throw - ${this.runningSystem.runsCompleted} runs scored`);
+        this.ballPhysics.isMoving = false;
+        this.ballPhysics.velocity.set(0, 0, 0);
+        this.cricketBall.position.copy(this.keeper.position);
+        this.cricketBall.position.y += this.throwSystem.receiverHeight;
+        
+        if (this.ballState.isActive && !this.ballState.isComplete) {
+            this.ballState.ballType = 'fielded';
+            this.ballState.completionReason = 'keeper_collected';
+            this.forceCompleteBall();
+        }
     }
 
     // Predict where the ball will be after a given time
@@ -3835,7 +5406,8 @@ class CricketGame {
     checkForImmediatePickup() {
         // HIGH PRIORITY: Check for immediate pickups first - this overrides everything else
         if (this.fieldingSystem.catchingSystem.catchInProgress || 
-            !this.fieldingSystem.ballIsHit) {
+            !this.fieldingSystem.ballIsHit ||
+            this.throwSystem.inFlight) { // ✅ NEW: Leave a throw for the bowler / keeper / stumps
             return;
         }
 
@@ -3951,7 +5523,7 @@ class CricketGame {
         
         // Start throwing back to bowler after brief delay
         setTimeout(() => {
-            this.throwBallToBowler(fielder);
+            this.throwBallIn(fielder);
             setTimeout(() => {
                 this.startFielderReturning(fielder);
             }, 1000);
@@ -3982,7 +5554,8 @@ class CricketGame {
         catchProbability = Math.max(0, Math.min(1, catchProbability));
         
         // Determine success
-        const isSuccessful = Math.random() < catchProbability;
+        const catchRandom = this.random('catch');
+        const isSuccessful = catchRandom.next() < catchProbability;
         
         console.log(`📊 Catch probability: ${(catchProbability * 100).toFixed(1)}% (Distance: ${distance.toFixed(1)}m, Speed: ${ballSpeed.toFixed(1)}, Type: ${catchType})`);
         
@@ -4003,6 +5576,7 @@ class CricketGame {
         // Position ball in fielder's hands
         this.cricketBall.position.copy(fielder.position);
         this.cricketBall.position.y += 1.5;
+        this.ballState.fielder = fielder.userData.description;
         
         // Set catch result
         this.fieldingSystem.catchingSystem.catchResult = 'success';
@@ -4010,15 +5584,27 @@ class CricketGame {
         // Clear ball trail for clean visual
         this.clearBallTrail();
         
-        // ✅ NEW: Handle wicket scoring
-        this.cricketScore.wickets += 1;
-        console.log(`📊 Wicket taken! Score: ${this.cricketScore.runs}/${this.cricketScore.wickets}`);
+        // ✅ NEW: Free hit / no-ball - a clean catch but the batter is not out
+        if (!this.isDismissalPossible('caught')) {
+            this.callNotOut('caught');
+            if (this.ballState.isActive && !this.ballState.isComplete) {
+                this.ballState.ballType = 'fielded';
+                this.ballState.completionReason = 'not_out';
+                setTimeout(() => {
+                    this.completeBall();
+                }, 500);
+            }
+            setTimeout(() => {
+                this.resetCatchingSystem();
+            }, 2000);
+            return;
+        }
         
         // ✅ NEW: Complete the ball immediately with wicket result
         if (this.ballState.isActive && !this.ballState.isComplete) {
             this.ballState.ballType = 'wicket';
             this.ballState.completionReason = 'caught';
-            this.ballState.runsThisBall = this.runningSystem.runsCompleted; // Any runs completed before catch
+            this.ballState.runsThisBall = this.getRunsScored(); // Any runs completed before catch
             
             // Force complete the ball immediately (wicket has priority)
             setTimeout(() => {
@@ -4046,10 +5632,11 @@ class CricketGame {
         this.ballPhysics.velocity.multiplyScalar(0.6); // Reduce speed by 40%
         
         // Add slight deflection from the drop
+        const catchRandom = this.random('catch');
         const deflection = new THREE.Vector3(
-            (Math.random() - 0.5) * 2,
-            Math.random() * 2,
-            (Math.random() - 0.5) * 2
+            (catchRandom.next() - 0.5) * 2,
+            catchRandom.next() * 2,
+            (catchRandom.next() - 0.5) * 2
         );
         this.ballPhysics.velocity.add(deflection);
         
@@ -4163,6 +5750,7 @@ class CricketGame {
         this.fieldingSystem.ballIsHit = false;
         this.fieldingSystem.nearestFielder = null;
         this.fieldingSystem.chasingFielder = null;
+        this.throwSystem.backupFielder = null;
         
         // Return all fielders to their original positions and idle state
         this.fielders.forEach(fielder => {
@@ -4176,6 +5764,7 @@ class CricketGame {
                 fielder.userData.interceptTarget = null;
                 fielder.userData.interceptStartTime = null;
                 fielder.userData.targetPosition = null;
+                fielder.userData.backupSpot = null;
                 
                 // Move fielder back to original position
                 const originalPos = this.fieldingSystem.fielderOriginalPositions.get(fielder.userData.description);
@@ -4207,6 +5796,12 @@ class CricketGame {
             if (this.targetSystem.isActive) {
                 this.updateTargetDisplay();
             }
+            
+            // ✅ NEW: Free hit banner for the next delivery
+            this.updateFreeHitBanner();
+            
+            // ✅ NEW: Striker and their confidence
+            this.updateBatterHUD();
         } else {
             console.warn(`⚠️ Cannot update score display - menu system not available`);
         }
@@ -4285,6 +5880,47 @@ class CricketGame {
         this.ballState.runsThisBall = 0;
         this.ballState.ballType = 'normal';
         this.ballState.completionReason = null;
+        this.ballState.variation = null;
+        this.ballState.shotType = null;
+        this.ballState.timing = null;
+        this.ballState.fielder = null;
+        this.ballState.pitchPoint = null;
+        this.ballState.landingPoint = null;
+        this.ballState.noBall = null;
+        this.ballState.freeHit = this.matchEngine.freeHit;
+        this.ballState.wide = false;
+        this.ballState.creaseJudged = false;
+        this.ballState.padContact = false;
+        this.ballState.lbwReview = null;
+        this.ballState.shotOffered = false;
+        this.ballState.edged = false;
+        this.ballState.calls = [];
+        this.ballState.runOut = null;
+        this.throwSystem.inFlight = false;
+        this.throwSystem.throwsThisBall = 0;
+        this.throwSystem.looseBall = false;
+        this.throwSystem.overthrowFrom = null;
+        this.ballState.overthrows = 0;
+        this.ballState.shortRuns = 0;
+        this.fieldingSystem.landingError = null;
+        this.ballState.dismissedIndex = null;
+        this.ballState.trajectory = [];
+        this.ballState.closestBatDistance = Infinity;
+        this.ballState.appeal = null;
+        this.ballState.review = null;
+        this.clearLBWProjection();
+        
+        this.footwork.move = null;
+        this.footwork.targetZ = this.footwork.homeZ;
+        this.footwork.recoverIn = null;
+        this.footwork.overbalanced = false;
+        this.footwork.overbalanceChecked = false;
+        this.restoreBails();
+        
+        this.aiBatter.shotPlayed = false;
+        this.aiBatter.leadTime = null;
+        this.aiBatter.hitTime = null;
+        this.aiBatter.runsConsidered = -1;
         
         this.runningSystem.runsCompleted = 0;
         this.runningSystem.isRunning = false;
@@ -4293,8 +5929,17 @@ class CricketGame {
         this.runningSystem.targetEnd = 'bowler';
         this.runningSystem.runProgress = 0;
         this.runningSystem.waitingForNextRun = false;
+        this.runningSystem.partnerStayedAt = null;
+        this.groundingSystem.grounded = false;
+        this.groundingSystem.groundedTurn = true;
+        
+        // ✅ NEW: No calls carried over from the last ball
+        this.runCalling.pending = null;
+        this.runCalling.refusedRun = null;
+        this.runCalling.caller = null;
         
         this.bowlerReceivingSystem.isReceivingThrow = false;
+        this.fieldingSystem.thrower = null;
         
         this.resetBallTracking();
         
@@ -4331,68 +5976,110 @@ class CricketGame {
             console.log('⚠️ Ball completion blocked - already completed.');
             return;
         }
+        
+        // ✅ NEW: DRS - the ball isn't recorded until any review of the appeal has been settled
+        if (this.drsSystem.pending) {
+            console.log('📺 Ball completion held - decision under review');
+            return;
+        }
+        if (this.offerReview()) {
+            return;
+        }
 
         // SET state immediately to lock this function.
         this.ballState.isComplete = true; 
         this.ballState.isActive = false; // The ball is no longer active.
         
         // ✅ IMPROVED: Handle wickets vs runs properly
+        let dismissal = null;
         if (this.ballState.ballType === 'wicket') {
-            // For wickets, runs were already set by successfulCatch, and wicket count was already incremented
-            console.log(`🎯 Completing wicket ball: ${this.ballState.runsThisBall} runs (wicket already counted)`);
-            
-            // ✅ FIXED: Update dismissed batsman's balls faced BEFORE promoting next batsman
-            const dismissedBatsman = this.battingTeam.players[this.battingTeam.currentBatsman];
-            dismissedBatsman.ballsFaced++;
-            console.log(`📊 ${dismissedBatsman.name}: WICKET (${dismissedBatsman.ballsFaced} balls) - updating BEFORE promotion`);
-            
-            // ✅ NEW: Record dismissal for scorecard (this will promote next batsman)
+            // For wickets, runs were already set by successfulCatch / executeRunOut / executeBowledDismissal
             if (this.ballState.completionReason === 'run_out') {
-                this.recordDismissal('run out');
+                dismissal = 'run out';
             } else if (this.ballState.completionReason === 'caught') {
-                this.recordDismissal('caught');
+                dismissal = 'caught';
+            } else if (this.ballState.completionReason === 'lbw') {
+                dismissal = 'lbw';
+            } else if (this.ballState.completionReason === 'stumped') {
+                dismissal = 'stumped';
             } else {
-                this.recordDismissal('bowled'); // Default for other wickets
+                dismissal = 'bowled'; // Default for other wickets
             }
+            console.log(`🎯 Completing wicket ball: ${this.ballState.runsThisBall} runs (${dismissal})`);
         } else {
             // For non-wicket balls, set runs normally
             if (!this.cricketScore.boundaryAwarded) {
-                this.ballState.runsThisBall = this.runningSystem.runsCompleted;
+                this.ballState.runsThisBall = this.getRunsScored();
             }
             console.log(`🎯 Completing ball: ${this.ballState.runsThisBall} runs (${this.ballState.ballType})`);
-            
-            // ✅ NEW: Update individual batsman stats for non-wicket balls
-            this.updateCurrentBatsmanStats(this.ballState.runsThisBall);
-        }
-        
-        console.log(`🔍 Before adding runs - Current total: ${this.cricketScore.runs}/${this.cricketScore.wickets}`);
-        
-        // ✅ NEW: Handle batsmen swapping on odd runs (1, 3, 5 runs)
-        if (this.ballState.runsThisBall % 2 === 1 && this.ballState.ballType !== 'wicket') {
-            console.log(`🏃 Odd runs scored (${this.ballState.runsThisBall}) - batsmen will change ends`);
-            this.swapBatsmen();
         }
 
         // STOP running system to prevent continuous updates
         this.runningSystem.isRunning = false;
         this.runningSystem.runState = 'idle';
         
-        // Add runs from this ball to total score
-        this.cricketScore.runs += this.ballState.runsThisBall;
-        this.cricketScore.balls++;
+        // ✅ NEW: Runs without bat contact are byes, or leg-byes off the pads (wides keep their own runs)
+        let extra = this.ballState.wide ? 'wide' : null;
+        if (!extra && !this.cricketScore.ballHasBeenHit && this.ballState.runsThisBall > 0) {
+            extra = this.ballState.padContact ? 'legBye' : 'bye';
+        }
+        
+        // ✅ NEW: The striker's confidence moves with how they played it (a wide isn't faced)
+        if (!this.ballState.wide) {
+            this.updateConfidence();
+        }
+        
+        // ✅ NEW: Runs taken after a throw got past (an overthrow boundary has already counted its own)
+        if (!this.cricketScore.boundaryAwarded) {
+            this.ballState.overthrows = this.countOverthrows();
+        }
+        
+        // ✅ NEW: Match engine applies the scoring rules (batter/bowler figures, dismissals, strike rotation, overs)
+        const delivery = this.matchEngine.recordDelivery({
+            runs: this.ballState.runsThisBall,
+            extra,
+            noBall: this.ballState.noBall,
+            dismissal,
+            fielder: this.ballState.fielder,
+            variation: this.ballState.variation,
+            shotType: this.ballState.shotType,
+            timing: this.ballState.timing,
+            boundary: this.ballState.ballType === 'boundary' ? this.ballState.runsThisBall : null,
+            pitch: this.ballState.pitchPoint,
+            landing: this.ballState.landingPoint,
+            review: this.ballState.review,
+            dismissedIndex: this.ballState.dismissedIndex,
+            wicketEnd: this.ballState.runOut ? this.ballState.runOut.end : null,
+            overthrows: this.ballState.overthrows,
+            shortRuns: this.ballState.shortRuns
+        });
+        this.syncScoreFromEngine();
 
-        // Simplified and corrected overs calculation
-        const completedOvers = Math.floor(this.cricketScore.balls / 6);
-        const ballsInCurrentOver = this.cricketScore.balls % 6;
-        this.cricketScore.overs = completedOvers + (ballsInCurrentOver / 10.0);
-        
-        // ✅ NEW: Swap batsmen at the end of each over (every 6 balls)
-        if (ballsInCurrentOver === 0 && this.cricketScore.balls > 0) {
-            console.log(`🏏 Over completed (${completedOvers} overs)! Batsmen changing ends for next over.`);
-            this.swapBatsmen();
+        if (delivery.wicket) {
+            console.log(`🏏 WICKET! ${delivery.dismissedPlayer} ${dismissal}`);
+        } else if (dismissal) {
+            this.callNotOut(dismissal);
+        }
+        if (this.matchEngine.freeHit) {
+            console.log('⚡ FREE HIT next ball - only a run out can dismiss the batter');
+            // Field is locked for the free hit
+            if (this.fielderPositioning.isActive) {
+                this.exitFieldingMode();
+            }
+        }
+        if (delivery.event.extras) {
+            console.log(`➕ Extras: ${this.describeExtras(delivery.event.extras)} (not a legal ball: ${!delivery.event.legal})`);
+        }
+        if (delivery.overComplete) {
+            console.log(`🏏 Over completed (${Math.floor(this.cricketScore.overs)} overs)! Batsmen changing ends for next over.`);
+            if (delivery.nextBowler) {
+                console.log(`🔄 Change of bowler: ${delivery.nextBowler} to bowl the next over`);
+            }
         }
-       
-        console.log(`🔍 After adding runs - New total: ${this.cricketScore.runs}/${this.cricketScore.wickets} (added ${this.ballState.runsThisBall} runs)`);
+        const striker = this.matchEngine.getStriker();
+        const nonStriker = this.matchEngine.getNonStriker();
+        console.log(`🏏 ${striker.name} on strike, ${nonStriker.name} at the non-striker's end`);
+        console.log(`📊 Total: ${this.cricketScore.runs}/${this.cricketScore.wickets} (added ${this.ballState.runsThisBall} runs)`);
         
         // Update score display
         this.updateCricketScore();
@@ -4402,9 +6089,11 @@ class CricketGame {
             this.updateScorecardDisplay();
         }
         
-        // Show ball completion summary (skip for wickets - they already have specific notifications)
-        if (this.ballState.ballType !== 'wicket') {
-            this.showBallSummary(this.ballState.runsThisBall, this.ballState.ballType);
+        // Show ball completion summary (skip for wickets - they already have specific notifications -
+        // except run outs, where the summary carries the calls and the blame)
+        if (!delivery.wicket || this.ballState.runOut) {
+            const ballType = this.ballState.ballType === 'wicket' && !delivery.wicket ? 'normal' : this.ballState.ballType;
+            this.showBallSummary(delivery.event.totalRuns, ballType, delivery.event.extras);
         }
         
         // Reset players for the next ball
@@ -4414,8 +6103,13 @@ class CricketGame {
         
         console.log(`✅ Ball completed: ${this.ballState.runsThisBall} runs (${this.ballState.ballType})`);
         
-        // ✅ NEW: Check target chase conditions after each ball
-        if (this.targetSystem.isActive) {
+        // ✅ NEW: Next delivery draws from fresh random streams
+        this.advanceRandomDelivery();
+        
+        // ✅ NEW: Check match / target chase conditions after each ball
+        if (this.matchSystem.isActive) {
+            this.checkMatchProgress();
+        } else if (this.targetSystem.isActive) {
             this.checkTargetChaseConditions();
         }
         
@@ -4426,7 +6120,7 @@ class CricketGame {
     }
 
     // Show ball completion summary
-    showBallSummary(runs, ballType) {
+    showBallSummary(runs, ballType, extras = null) {
         // ✅ IMPROVED: Handle wickets properly
         let summaryText;
         let ballTypeText = '';
@@ -4436,11 +6130,23 @@ class CricketGame {
         if (ballType === 'wicket') {
             titleText = 'WICKET!';
             if (this.ballState.completionReason === 'run_out') {
-                summaryText = runs === 0 ? 'RUN OUT!' : 
-                             runs === 1 ? 'RUN OUT! (1 run scored)' : 
-                             `RUN OUT! (${runs} runs scored)`;
-                ballTypeText = ' (Caught short!)';
+                titleText = '🏃‍♂️💥 RUN OUT!';
+                const batter = this.ballState.runOut ? this.ballState.runOut.batter : 'Batsman';
+                summaryText = runs === 0 ? `${batter} caught short` : 
+                             runs === 1 ? `${batter} caught short (1 run scored)` : 
+                             `${batter} caught short (${runs} runs scored)`;
+                // ✅ NEW: Whose call it was
+                const blame = this.ballState.runOut && this.ballState.runOut.blame;
+                ballTypeText = blame ? ` - ${blame}'s call` : '';
                 borderColor = '#ff6b35'; // Orange border for run-outs
+            } else if (this.ballState.completionReason === 'lbw') {
+                summaryText = 'LBW!';
+                ballTypeText = ' (Leg before wicket)';
+                borderColor = '#ff0040';
+            } else if (this.ballState.completionReason === 'stumped') {
+                summaryText = 'STUMPED!';
+                ballTypeText = ' (Out of the crease)';
+                borderColor = '#ff0040';
             } else {
                 summaryText = runs === 0 ? 'Wicket taken!' : 
                              runs === 1 ? 'Wicket taken (1 run scored)' : 
@@ -4454,8 +6160,27 @@ class CricketGame {
                          `${runs} runs`;
             
             ballTypeText = ballType === 'boundary' ? ' (Boundary!)' : 
+                          ballType === 'overthrow' ? ' (Overthrows to the rope!)' : 
+                          ballType === 'extrasBoundary' ? ' (To the rope!)' : 
                           ballType === 'fielded' ? ' (Fielded)' : 
                           ballType === 'normal' ? '' : '';
+            
+            // ✅ NEW: Runs that came from throws getting past
+            const overthrows = this.ballState.overthrows;
+            if (overthrows > 0 && ballType !== 'overthrow') {
+                ballTypeText += ` (${overthrows} overthrow${overthrows === 1 ? '' : 's'})`;
+            }
+            
+            // ✅ NEW: Runs the umpire called short
+            if (this.ballState.shortRuns > 0) {
+                ballTypeText += ` (${this.ballState.shortRuns} short)`;
+            }
+            
+            // ✅ NEW: Show the extras making up the total
+            if (extras) {
+                ballTypeText += ` (${this.describeExtras(extras)})`;
+                borderColor = '#ffa500';
+            }
         }
         
         // Create summary notification
@@ -4479,6 +6204,7 @@ class CricketGame {
             ">
                 <h3 style="margin: 0 0 10px 0; ${ballType === 'wicket' ? 'color: #ff4444;' : ''}">${titleText}</h3>
                 <p style="margin: 0;">${summaryText}${ballTypeText}</p>
+                ${this.ballState.calls.length > 0 ? `<p style="margin: 8px 0 0 0; font-size: 14px; color: #ffd93d;">📣 ${this.ballState.calls.join(' · ')}</p>` : ''}
                 <p style="margin: 10px 0 0 0; font-size: 14px; opacity: 0.8;">Total: ${this.cricketScore.runs}/${this.cricketScore.wickets}</p>
             </div>
             <style>
@@ -4505,6 +6231,13 @@ class CricketGame {
     resetPlayersForNextBall() {
         console.log('🔄 Resetting all players for next ball...');
         
+        // ✅ NEW: Ball ended with a throw still out - bring the field back in
+        if (this.throwSystem.inFlight || this.throwSystem.looseBall) {
+            this.throwSystem.inFlight = false;
+            this.throwSystem.looseBall = false;
+            this.resetFieldingSystem();
+        }
+        
         // Reset batsman to initial position
         if (this.character) {
             this.character.position.set(0, 0, 9);
@@ -4562,9 +6295,17 @@ class CricketGame {
             }
         }
         
+        // ✅ NEW: Non-striker back at the bowler's end
+        if (this.nonStriker) {
+            const home = this.runningSystem.wicketPositions.bowler;
+            this.nonStriker.position.set(home.x + this.getNonStrikerLaneX(), 0, home.z);
+            this.nonStriker.lookAt(this.nonStriker.position.x, 0, 10);
+            this.playCricketPlayerAnimation(this.nonStriker, 'standingidle');
+        }
+        
         // Reset bowler to original position
         if (this.bowler) {
-            this.bowler.position.set(1, 0, -9); // Bowler's end
+            this.bowler.position.set(this.handedness.field === 'left' ? -1 : 1, 0, -9); // Bowler's end (mirrored to a left-hander)
             this.bowler.rotation.set(0, 0, 0);
             this.bowler.lookAt(0, 0, 10); // Face batsman
             this.playCricketPlayerAnimation(this.bowler, 'standingidle');
@@ -4637,6 +6378,10 @@ class CricketGame {
         this.runningSystem.runsCompleted = 0;
         this.runningSystem.turningAtEnd = false;
         this.runningSystem.waitingForNextRun = false;
+        this.runningSystem.partnerStayedAt = null;
+        this.runCalling.pending = null;
+        this.groundingSystem.grounded = false;
+        this.groundingSystem.groundedTurn = true;
         console.log('🔄 Running system completely reset for next ball');
         
         // Reset bowler receiving system
@@ -4648,22 +6393,50 @@ class CricketGame {
     handleBoundaryScoring() {
         if (this.cricketScore.boundaryAwarded) return;
 
-        // ✅ CRICKET RULES: Only award boundary runs if ball was hit by batsman
+        // ✅ NEW: A throw that runs away to the rope - four overthrows on top of the runs already completed
+        if (this.throwSystem.throwsThisBall > 0) {
+            const completed = this.getRunsScored();
+            console.log(`🏏 Overthrows to the boundary! 4 + ${completed} completed`);
+            
+            this.ballPhysics.isMoving = false;
+            this.ballPhysics.velocity.set(0, 0, 0);
+            this.cricketScore.boundaryAwarded = true;
+            this.runningSystem.isRunning = false;
+            this.endThrowPlay();
+            
+            if (this.ballState.isActive && !this.ballState.isComplete) {
+                this.ballState.ballType = 'overthrow';
+                this.ballState.completionReason = 'overthrow_boundary';
+                this.ballState.runsThisBall = completed + 4;
+                this.ballState.overthrows = this.countOverthrows() + 4;
+                this.showBoundaryNotification('FOUR OVERTHROWS', completed + 4);
+                
+                setTimeout(() => {
+                    this.completeBall();
+                }, 1000);
+            }
+            return;
+        }
+
+        // ✅ CRICKET RULES: A ball that wasn't hit can only reach the rope as four byes / leg-byes / wides
         if (!this.cricketScore.ballHasBeenHit) {
-            console.log('🚫 Ball crossed boundary but was NOT hit by batsman - no runs awarded');
+            const extraName = this.ballState.wide ? 'WIDES' : this.ballState.padContact ? 'LEG BYES' : 'BYES';
+            console.log(`🏏 Ball crossed boundary without touching the bat - 4 ${extraName.toLowerCase()}`);
             
-            // Stop ball physics and complete as dot ball
             this.ballPhysics.isMoving = false;
             this.ballPhysics.velocity.set(0, 0, 0);
+            this.cricketScore.boundaryAwarded = true;
+            this.runningSystem.isRunning = false;
             
             if (this.ballState.isActive && !this.ballState.isComplete) {
-                this.ballState.ballType = 'fielded';
+                this.ballState.ballType = 'extrasBoundary'; // Not a boundary hit - the engine only counts those
                 this.ballState.completionReason = 'missed_boundary';
-                this.ballState.runsThisBall = 0; // No runs for unhit ball
+                this.ballState.runsThisBall = 4;
+                this.showBoundaryNotification(`FOUR ${extraName}`, 4);
                 
                 setTimeout(() => {
                     this.completeBall();
-                }, 500);
+                }, 1000);
             }
             return;
         }
@@ -4724,6 +6497,14 @@ class CricketGame {
     }
 
     checkBallBounce() {
+        // ✅ NEW: Record where the delivery pitched and where the shot landed for the ball-by-ball log
+        const bouncePoint = { x: this.cricketBall.position.x, z: this.cricketBall.position.z };
+        if (!this.cricketScore.ballHasBeenHit) {
+            this.ballState.pitchPoint = this.ballState.pitchPoint || bouncePoint;
+        } else {
+            this.ballState.landingPoint = this.ballState.landingPoint || bouncePoint;
+        }
+        
         if (this.cricketBall.position.y <= 0.1 && !this.cricketScore.ballHasBounced) {
             // ✅ CRICKET RULES FIX: Only check bounces AFTER ball has been hit
             // Natural bounces during delivery (on pitch) should NOT affect boundary scoring
@@ -4785,103 +6566,1236 @@ class CricketGame {
         }, 3000);
     }
 
-    // Target Chase System Methods
-    startTargetChase(targetRuns = null, maxOvers = 2.0) {
-        // Generate random target if none provided (realistic range for 2 overs)
-        if (targetRuns === null) {
-            targetRuns = Math.floor(Math.random() * 20) + 15; // 15-34 runs target
-        }
+    // ✅ NEW: Extras System Methods
+    
+    // Front-foot no-ball: where the front foot lands is drawn from the bowling stream for this delivery
+    judgeFrontFoot() {
+        const extras = this.extrasSystem;
+        const frontFootZ = extras.bowlerPoppingCreaseZ - extras.frontFootMargin +
+            this.random('bowling').spread(extras.frontFootSpread);
         
-        this.targetSystem.isActive = true;
-        this.targetSystem.targetRuns = targetRuns;
-        this.targetSystem.maxOvers = maxOvers;
-        this.targetSystem.maxBalls = Math.floor(maxOvers * 6);
-        this.targetSystem.runsNeeded = targetRuns;
-        this.targetSystem.ballsRemaining = this.targetSystem.maxBalls;
-        this.targetSystem.oversRemaining = maxOvers;
-        this.targetSystem.requiredRunRate = this.calculateRequiredRunRate();
-        this.targetSystem.gameStatus = 'playing';
-        this.targetSystem.gameOverReason = null;
+        if (frontFootZ > extras.bowlerPoppingCreaseZ) {
+            this.ballState.noBall = 'frontFoot';
+            const overstep = ((frontFootZ - extras.bowlerPoppingCreaseZ) * 100).toFixed(0);
+            console.log(`🚫 NO BALL! Front foot landed ${overstep}cm over the popping crease`);
+            this.showExtraNotification('NO BALL', 'Overstepped the crease - free hit next ball');
+        }
+    }
+    
+    // Line and height of the delivery at the striker's popping crease (or at bat contact, whichever comes first)
+    judgeDeliveryAtCrease(atContact) {
+        if (this.ballState.creaseJudged || !this.ballState.isActive || !this.cricketBall) return;
+        this.ballState.creaseJudged = true;
         
-        // Reset game score for fresh chase
-        this.cricketScore.runs = 0;
-        this.cricketScore.wickets = 0;
-        this.cricketScore.overs = 0;
-        this.cricketScore.balls = 0;
-        this.cricketScore.ballHasBeenHit = false; // ✅ Reset hit flag for new chase
+        const extras = this.extrasSystem;
+        const ball = this.cricketBall.position;
         
-        console.log(`🎯 TARGET CHASE STARTED! Need ${targetRuns} runs in ${maxOvers} overs (${this.targetSystem.maxBalls} balls)`);
-        console.log(`📊 Required run rate: ${this.targetSystem.requiredRunRate.toFixed(2)} per over`);
+        // Full toss above the waist
+        if (!this.ballState.pitchPoint && ball.y > extras.waistHeight && !this.ballState.noBall) {
+            this.ballState.noBall = 'height';
+            console.log(`🚫 NO BALL! Full toss above the waist (${ball.y.toFixed(2)}m)`);
+            this.showExtraNotification('NO BALL', 'Above-waist full toss');
+        }
         
-        this.showTargetNotification();
-        this.updateCricketScore();
+        // Wide: out of the batter's reach as it passes the crease, and not touched by the bat or body
+        if (atContact || this.ballState.noBall || this.ballState.padContact || !this.character) return;
+        const offsideDistance = (ball.x - this.character.position.x) * this.getHandSign();
+        const distanceFromBatter = Math.abs(offsideDistance);
+        if (distanceFromBatter > extras.wideLine) {
+            this.ballState.wide = true;
+            console.log(`↔️ WIDE! Passed ${distanceFromBatter.toFixed(2)}m from the batter${offsideDistance < 0 ? ' down the leg side' : ''}`);
+            this.showExtraNotification('WIDE', 'Out of the batter\'s reach');
+        }
     }
-
-    checkTargetChaseConditions() {
-        if (!this.targetSystem.isActive || this.targetSystem.gameStatus !== 'playing') {
+    
+    // Ball striking the batter's pads or body without touching the bat
+    checkPadContact() {
+        if (this.ballState.padContact || this.cricketScore.ballHasBeenHit || !this.ballState.isActive || !this.character) return;
+        
+        const extras = this.extrasSystem;
+        const ball = this.cricketBall.position;
+        const batter = this.character.position;
+        if (ball.y > extras.padHeight || this.ballPhysics.velocity.z <= 0) return;
+        
+        const distance = Math.hypot(ball.x - batter.x, ball.z - batter.z);
+        if (distance > extras.padRadius) return;
+        
+        this.ballState.padContact = true;
+        console.log(`🦵 Ball struck the pads at (${ball.x.toFixed(2)}, ${ball.y.toFixed(2)}, ${ball.z.toFixed(2)})`);
+        
+        // The umpire needs the no-ball call before ruling on the appeal
+        this.judgeDeliveryAtCrease(true);
+        
+        // ✅ NEW: LBW appeal - project the ball on from the pads before it deflects
+        if (this.lbwSystem.enabled) {
+            const review = this.adjudicateLBW();
+            this.ballState.lbwReview = review;
+            
+            if (!this.isDismissalPossible('lbw')) {
+                if (review.umpireOut) {
+                    this.callNotOut('lbw'); // Plumb, but a free hit / no-ball - play on for leg-byes
+                }
+            } else if (review.umpireOut) {
+                this.ballState.appeal = { type: 'lbw', decision: 'out' };
+                this.executeLBWDismissal();
+                return;
+            } else {
+                this.ballState.appeal = { type: 'lbw', decision: 'not out' };
+                this.showExtraNotification('NOT OUT', 'LBW appeal turned down');
+            }
+        }
+        
+        // Pads kill most of the pace and the ball drops back off the body
+        this.ballPhysics.velocity.multiplyScalar(-0.25);
+    }
+    
+    // The three LBW questions for a pitch point, impact point and projected point at the stumps
+    judgeLBW({ pitchX, impactX, projectedX, projectedY, shotOffered }) {
+        const lbw = this.lbwSystem;
+        const zone = lbw.stumpHalfWidth + lbw.ballRadius;
+        const sign = this.getHandSign();
+        const lineOf = x => x * sign < -zone ? 'outsideLeg' : x * sign > zone ? 'outsideOff' : 'inLine'; // +X is the off side to a right-hander
+        
+        const pitching = pitchX === null ? 'fullToss' : lineOf(pitchX);
+        const impact = lineOf(impactX);
+        const hitting = Math.abs(projectedX) <= zone && projectedY <= lbw.stumpHeight + lbw.ballRadius;
+        const out = pitching !== 'outsideLeg' &&
+            (impact === 'inLine' || (impact === 'outsideOff' && !shotOffered)) &&
+            hitting;
+        
+        return { pitching, impact, hitting, out };
+    }
+    
+    // Ball tracking from the pad impact: where it pitched, where it struck the batter and
+    // whether predictBallPosition carries it on into the stumps. The on-field umpire judges
+    // the same three points by eye, within umpireLineError
+    adjudicateLBW() {
+        const lbw = this.lbwSystem;
+        const ball = this.cricketBall.position;
+        const stumpsZ = this.PITCH_LENGTH / 2;
+        
+        // Projected path from the pads to the stumps (before the pads deflect the ball)
+        const timeToStumps = Math.max(0, (stumpsZ - ball.z) / this.ballPhysics.velocity.z);
+        const path = [];
+        for (let t = 0; t < timeToStumps; t += lbw.projectionStep) {
+            path.push(this.predictBallPosition(t));
+        }
+        const projected = this.predictBallPosition(timeToStumps);
+        path.push(projected);
+        
+        const pitchPoint = this.ballState.pitchPoint;
+        const shotOffered = this.ballState.shotOffered;
+        const tracking = this.judgeLBW({
+            pitchX: pitchPoint ? pitchPoint.x : null,
+            impactX: ball.x,
+            projectedX: projected.x,
+            projectedY: projected.y,
+            shotOffered
+        });
+        
+        const rng = this.random('umpire');
+        const error = this.drsSystem.umpireLineError;
+        const onField = this.judgeLBW({
+            pitchX: pitchPoint ? pitchPoint.x + rng.spread(error) : null,
+            impactX: ball.x + rng.spread(error),
+            projectedX: projected.x + rng.spread(error),
+            projectedY: projected.y + rng.spread(error),
+            shotOffered
+        });
+        
+        const review = {
+            ...tracking,  // pitching: 'inLine', 'outsideOff', 'outsideLeg' or 'fullToss'; impact: 'inLine', 'outsideOff' or 'outsideLeg'
+            shotOffered,  // Impact outside off is only out if no shot was offered
+            umpireOut: onField.out,
+            // Umpire's call: part of the ball is in line / hitting but not its centre
+            umpiresCall: {
+                impact: tracking.impact === 'inLine' && Math.abs(ball.x) > lbw.stumpHalfWidth,
+                wickets: tracking.hitting &&
+                    (Math.abs(projected.x) > lbw.stumpHalfWidth || projected.y > lbw.stumpHeight)
+            },
+            pitchPoint: pitchPoint ? { x: pitchPoint.x, z: pitchPoint.z } : null,
+            impactPoint: { x: ball.x, y: ball.y, z: ball.z },
+            projectedPoint: { x: projected.x, y: projected.y },
+            path: path.map(point => ({ x: point.x, y: point.y, z: point.z }))
+        };
+        
+        console.log(`🦵 LBW appeal - pitching: ${review.pitching}, impact: ${review.impact}${shotOffered ? '' : ' (no shot)'}, ` +
+            `wickets: ${review.hitting ? 'hitting' : 'missing'} at (${projected.x.toFixed(2)}, ${projected.y.toFixed(2)}) → ` +
+            `umpire says ${review.umpireOut ? 'OUT' : 'NOT OUT'}`);
+        
+        return review;
+    }
+    
+    // ✅ NEW: Execute LBW dismissal - the pads stop the ball dead
+    executeLBWDismissal() {
+        this.ballPhysics.isMoving = false;
+        this.ballPhysics.velocity.set(0, 0, 0);
+        
+        console.log('🦵☝️ LBW! Given out leg before wicket');
+        this.runningSystem.isRunning = false;
+        this.runningSystem.runState = 'idle';
+        this.batSwing.isSwinging = false;
+        
+        if (this.ballState.isActive && !this.ballState.isComplete) {
+            this.ballState.ballType = 'wicket';
+            this.ballState.completionReason = 'lbw';
+            this.ballState.runsThisBall = 0;
+            setTimeout(() => {
+                this.forceCompleteBall();
+            }, 500);
+        }
+        
+        this.showExtraNotification('LBW - OUT!', 'Given out leg before wicket');
+    }
+    
+    // Projected path from the pads to the stumps - red when it goes on to hit them
+    drawLBWProjection(review) {
+        this.clearLBWProjection();
+        
+        const points = review.path.map(point => new THREE.Vector3(point.x, point.y, point.z));
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({
+            color: review.hitting ? 0xff3344 : 0x44ff88,
+            transparent: true,
+            opacity: 0.9
+        });
+        
+        this.lbwSystem.projectionLine = new THREE.Line(geometry, material);
+        this.scene.add(this.lbwSystem.projectionLine);
+    }
+    
+    clearLBWProjection() {
+        const line = this.lbwSystem.projectionLine;
+        if (!line) return;
+        
+        this.scene.remove(line);
+        line.geometry.dispose();
+        line.material.dispose();
+        this.lbwSystem.projectionLine = null;
+    }
+    
+    // ✅ NEW: Decision Review System methods
+    
+    // Flight of the unhit delivery, and how close it came to the bat, for DRS
+    recordDeliveryTrajectory(deltaTime) {
+        if (!this.ballState.isActive || this.cricketScore.ballHasBeenHit || this.ballState.padContact) return;
+        
+        const ball = this.cricketBall.position;
+        const path = this.ballState.trajectory;
+        const time = path.length > 0 ? path[path.length - 1].t + deltaTime : 0;
+        path.push({ x: ball.x, y: ball.y, z: ball.z, t: time });
+        
+        if (this.batCollisionSphere) {
+            const distance = ball.distanceTo(this.batCollisionSphere.position);
+            this.ballState.closestBatDistance = Math.min(this.ballState.closestBatDistance, distance);
+        }
+    }
+    
+    // Keeper's take off a ball the batter played at: a thin edge is out caught behind. The umpire
+    // judges the gap within umpireEdgeError; UltraEdge (the true gap) settles a review
+    judgeCaughtBehind() {
+        const drs = this.drsSystem;
+        if (!this.ballState.shotOffered || this.ballState.appeal || !this.isDismissalPossible('caught')) return null;
+        
+        const gap = this.ballState.closestBatDistance - drs.batReach;
+        if (gap > drs.appealDistance) return null;
+        
+        const edged = gap <= drs.edgeThickness;
+        const seenGap = gap + this.random('umpire').spread(drs.umpireEdgeError);
+        const decision = seenGap <= drs.edgeThickness ? 'out' : 'not out';
+        console.log(`🧤 Caught-behind appeal - passed ${(Math.max(0, gap) * 100).toFixed(0)}cm from the bat ` +
+            `(${edged ? 'edged' : 'no edge'}) → umpire says ${decision.toUpperCase()}`);
+        
+        return { type: 'caught', decision, edged, gap };
+    }
+    
+    getKeeperName() {
+        const keeper = this.matchEngine.fieldingTeam.players.find(player => player.role === 'keeper');
+        return keeper ? keeper.name : 'Wicket Keeper';
+    }
+    
+    // The user bats outside match mode; in a match they're whichever side the toss gave them
+    isUserSide(side) {
+        const userBatting = !this.matchSystem.isActive || this.matchSystem.userBatting;
+        return (side === 'batting') === userBatting;
+    }
+    
+    // Called as the ball completes: give the side the appeal went against the chance to review.
+    // Returns true while completion is held for the review
+    offerReview() {
+        const drs = this.drsSystem;
+        const appeal = this.ballState.appeal;
+        if (!drs.enabled || !appeal || appeal.offered) return false;
+        appeal.offered = true;
+        
+        const side = appeal.decision === 'out' ? 'batting' : 'fielding';
+        if (!this.matchEngine.canReview(side)) {
+            console.log(`📺 No reviews left for the ${side} side`);
+            return false;
+        }
+        
+        const pending = { ...appeal, side };
+        drs.pending = pending;
+        
+        if (this.isUserSide(side)) {
+            this.showReviewPrompt();
+        } else {
+            setTimeout(() => {
+                if (drs.pending !== pending) return;
+                if (this.shouldAIReview()) {
+                    this.startReview();
+                } else {
+                    this.declineReview();
+                }
+            }, drs.aiThinkTime);
+        }
+        return true;
+    }
+    
+    // What the technology shows for the appeal under review
+    getReviewEvidence(pending) {
+        if (pending.type === 'lbw') {
+            const review = this.ballState.lbwReview;
+            return {
+                evidence: review.out ? 'out' : 'not out',
+                umpiresCall: review.out && (review.umpiresCall.impact || review.umpiresCall.wickets)
+            };
+        }
+        return { evidence: pending.edged ? 'out' : 'not out', umpiresCall: false };
+    }
+    
+    // The computer's captain senses a wrong decision more often than not, and rarely wastes a review
+    shouldAIReview() {
+        const pending = this.drsSystem.pending;
+        const { evidence, umpiresCall } = this.getReviewEvidence(pending);
+        const wrong = evidence !== pending.decision;
+        const probability = umpiresCall ? 0.4 : wrong ? 0.75 : 0.1;
+        return this.random('review').chance(probability);
+    }
+    
+    showReviewPrompt() {
+        const drs = this.drsSystem;
+        const pending = drs.pending;
+        const label = pending.type === 'lbw' ? 'LBW' : 'caught-behind';
+        const reviewsLeft = this.matchEngine.reviews[pending.side];
+        let secondsLeft = drs.reviewWindow;
+        
+        this.removeReviewPrompt();
+        const prompt = document.createElement('div');
+        prompt.style.cssText = `
+            position: fixed;
+            bottom: 120px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(0, 0, 0, 0.9);
+            color: white;
+            padding: 20px 30px;
+            border-radius: 15px;
+            border: 3px solid #4ecdc4;
+            font-family: Arial, sans-serif;
+            text-align: center;
+            z-index: 1500;
+        `;
+        const render = () => {
+            prompt.innerHTML = `
+                <div style="font-size: 20px; font-weight: bold; margin-bottom: 8px;">
+                    📺 ${pending.decision.toUpperCase()} - review the ${label} decision?
+                </div>
+                <div style="font-size: 14px; opacity: 0.8; margin-bottom: 12px;">
+                    Reviews left: ${reviewsLeft} &nbsp;•&nbsp; Press Y to review &nbsp;•&nbsp; ${secondsLeft}s
+                </div>
+                ${this.matchButton('📺 Review', 'window.reviewDecision()')}
+                ${this.matchButton('Accept', 'window.acceptDecision()')}
+            `;
+        };
+        render();
+        document.body.appendChild(prompt);
+        drs.prompt = prompt;
+        
+        drs.promptTimer = setInterval(() => {
+            secondsLeft--;
+            if (secondsLeft <= 0) {
+                this.declineReview();
+            } else {
+                render();
+            }
+        }, 1000);
+    }
+    
+    removeReviewPrompt() {
+        const drs = this.drsSystem;
+        if (drs.promptTimer) {
+            clearInterval(drs.promptTimer);
+            drs.promptTimer = null;
+        }
+        if (drs.prompt && drs.prompt.parentNode) {
+            drs.prompt.parentNode.removeChild(drs.prompt);
+        }
+        drs.prompt = null;
+    }
+    
+    // The on-field decision stands without a review
+    declineReview() {
+        const drs = this.drsSystem;
+        if (!drs.pending || drs.replay) return;
+        
+        console.log(`📺 No review - ${drs.pending.decision.toUpperCase()} stands`);
+        this.removeReviewPrompt();
+        drs.pending = null;
+        this.forceCompleteBall();
+    }
+    
+    // Slow-motion replay of the recorded flight, then the projected path through the stumps for LBW
+    startReview() {
+        const drs = this.drsSystem;
+        const pending = drs.pending;
+        if (!pending || drs.replay) return;
+        
+        this.removeReviewPrompt();
+        const team = pending.side === 'batting' ? this.matchEngine.battingTeam.teamName : this.matchEngine.fieldingTeam.teamName;
+        const label = pending.type === 'lbw' ? 'LBW' : 'caught-behind';
+        console.log(`📺 ${team} review the ${label} decision (${pending.decision.toUpperCase()})`);
+        
+        const group = new THREE.Group();
+        group.name = 'drsReplay';
+        
+        const path = this.ballState.trajectory;
+        const trackGeometry = new THREE.BufferGeometry().setFromPoints(
+            path.map(point => new THREE.Vector3(point.x, point.y, point.z))
+        );
+        trackGeometry.setDrawRange(0, 0);
+        group.add(new THREE.Line(trackGeometry, new THREE.LineBasicMaterial({ color: 0x4ecdc4 })));
+        
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.06, 16, 16),
+            new THREE.MeshBasicMaterial({ color: 0xff2244 })
+        );
+        if (path.length > 0) {
+            marker.position.set(path[0].x, path[0].y, path[0].z);
+        }
+        group.add(marker);
+        
+        if (pending.type === 'lbw') {
+            group.add(this.createUmpiresCallZone());
+        }
+        this.scene.add(group);
+        
+        // Ball-tracking view from behind the bowler's arm
+        drs.replay = {
+            group,
+            trackGeometry,
+            marker,
+            path,
+            stage: 'delivery',
+            time: 0,
+            cameraPosition: this.camera.position.clone(),
+            controlsTarget: this.controls.target.clone(),
+            banner: this.showReviewBanner(`📺 DRS - ${team} review the ${label} decision`)
+        };
+        this.camera.position.set(0, 3, -8);
+        this.controls.target.set(0, 0.5, this.PITCH_LENGTH / 2);
+    }
+    
+    // Stumps plane with the umpire's call band around it: a ball centred in the red zone is hitting,
+    // one centred in the amber band is only clipping the stumps
+    createUmpiresCallZone() {
+        const lbw = this.lbwSystem;
+        const zone = new THREE.Group();
+        const stumpsZ = this.PITCH_LENGTH / 2;
+        const zoneMaterial = color => new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.35,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        const bandWidth = (lbw.stumpHalfWidth + lbw.ballRadius) * 2;
+        const bandHeight = lbw.stumpHeight + lbw.ballRadius;
+        const band = new THREE.Mesh(new THREE.PlaneGeometry(bandWidth, bandHeight), zoneMaterial(0xffa500));
+        band.position.set(0, bandHeight / 2, stumpsZ + 0.02);
+        
+        const hitting = new THREE.Mesh(new THREE.PlaneGeometry(lbw.stumpHalfWidth * 2, lbw.stumpHeight), zoneMaterial(0xff2244));
+        hitting.position.set(0, lbw.stumpHeight / 2, stumpsZ);
+        
+        zone.add(band, hitting);
+        return zone;
+    }
+    
+    showReviewBanner(text) {
+        const banner = document.createElement('div');
+        banner.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(0, 0, 0, 0.85);
+            color: #4ecdc4;
+            padding: 10px 25px;
+            border-radius: 10px;
+            border: 2px solid #4ecdc4;
+            font-family: Arial, sans-serif;
+            font-size: 18px;
+            font-weight: bold;
+            z-index: 1500;
+        `;
+        banner.textContent = text;
+        document.body.appendChild(banner);
+        return banner;
+    }
+    
+    // Advance the slow-motion replay (called every frame)
+    updateDRSReplay(deltaTime) {
+        const drs = this.drsSystem;
+        const replay = drs.replay;
+        if (!replay || replay.stage === 'done') return;
+        
+        replay.time += deltaTime * drs.slowMotion;
+        
+        if (replay.stage === 'delivery') {
+            const path = replay.path;
+            const next = path.findIndex(point => point.t > replay.time);
+            if (next > 0) {
+                const from = path[next - 1];
+                const to = path[next];
+                const alpha = (replay.time - from.t) / (to.t - from.t);
+                replay.marker.position.set(
+                    from.x + (to.x - from.x) * alpha,
+                    from.y + (to.y - from.y) * alpha,
+                    from.z + (to.z - from.z) * alpha
+                );
+                replay.trackGeometry.setDrawRange(0, next);
+                return;
+            }
+            
+            // End of the recorded flight - carry on along the projection for LBW
+            replay.trackGeometry.setDrawRange(0, path.length);
+            if (drs.pending.type === 'lbw') {
+                this.drawLBWProjection(this.ballState.lbwReview);
+                replay.stage = 'projection';
+                replay.projectionStart = replay.time;
+                return;
+            }
+        } else if (replay.stage === 'projection') {
+            const projection = this.ballState.lbwReview.path;
+            const index = Math.floor((replay.time - replay.projectionStart) / this.lbwSystem.projectionStep);
+            if (index < projection.length) {
+                const point = projection[index];
+                replay.marker.position.set(point.x, point.y, point.z);
+                return;
+            }
+        }
+        
+        replay.stage = 'done';
+        const pending = drs.pending;
+        setTimeout(() => {
+            if (drs.pending === pending) {
+                this.showReviewResult();
+            }
+        }, 800);
+    }
+    
+    // Third umpire's verdict: overturn, uphold or umpire's call
+    showReviewResult() {
+        const drs = this.drsSystem;
+        const pending = drs.pending;
+        const { evidence, umpiresCall } = this.getReviewEvidence(pending);
+        const result = resolveReview({ original: pending.decision, evidence, umpiresCall });
+        
+        this.ballState.review = {
+            side: pending.side,
+            type: pending.type,
+            original: pending.decision,
+            ...result
+        };
+        const reviewsLeft = this.matchEngine.reviews[pending.side] - (result.retained ? 0 : 1);
+        
+        const verdict = result.umpiresCall ? `${result.decision.toUpperCase()} - UMPIRE'S CALL` :
+            result.overturned ? `OVERTURNED - ${result.decision.toUpperCase()}` :
+            `${result.decision.toUpperCase()} - DECISION STANDS`;
+        console.log(`📺 DRS: ${verdict} (reviews left: ${reviewsLeft})`);
+        
+        const row = (name, value, colour) => `
+            <div style="display: flex; justify-content: space-between; gap: 30px; margin: 6px 0;">
+                <span style="opacity: 0.8;">${name}</span>
+                <span style="font-weight: bold; color: ${colour};">${value}</span>
+            </div>
+        `;
+        const green = '#4ecdc4';
+        const red = '#ff6b6b';
+        const amber = '#ffa500';
+        let rows;
+        if (pending.type === 'lbw') {
+            const review = this.ballState.lbwReview;
+            const lines = { inLine: 'In line', outsideOff: 'Outside off', outsideLeg: 'Outside leg', fullToss: 'Full toss' };
+            const impactOk = review.impact === 'inLine' || (review.impact === 'outsideOff' && !review.shotOffered);
+            rows = row('Pitching', lines[review.pitching], review.pitching === 'outsideLeg' ? green : red) +
+                row('Impact',
+                    review.umpiresCall.impact ? 'Umpire\'s call' : lines[review.impact] + (impactOk && review.impact === 'outsideOff' ? ' (no shot)' : ''),
+                    review.umpiresCall.impact ? amber : impactOk ? red : green) +
+                row('Wickets',
+                    review.umpiresCall.wickets ? 'Umpire\'s call' : review.hitting ? 'Hitting' : 'Missing',
+                    review.umpiresCall.wickets ? amber : review.hitting ? red : green);
+        } else {
+            rows = row('UltraEdge', pending.edged ? 'Spike - bat involved' : 'No spike', pending.edged ? red : green) +
+                row('Closest to bat', `${(Math.max(0, pending.gap) * 100).toFixed(0)}cm`, pending.edged ? red : green);
+        }
+        
+        const notification = document.createElement('div');
+        notification.innerHTML = `
+            <div style="
+                position: fixed;
+                top: 20%;
+                left: 50%;
+                transform: translateX(-50%);
+                background: rgba(0, 0, 0, 0.9);
+                color: white;
+                padding: 20px 30px;
+                border-radius: 10px;
+                font-family: Arial, sans-serif;
+                z-index: 1600;
+                font-size: 16px;
+                border: 3px solid ${result.decision === 'out' ? '#ff0040' : green};
+                min-width: 280px;
+            ">
+                <h2 style="margin: 0 0 12px 0; text-align: center; color: ${result.decision === 'out' ? '#ff0040' : green}; font-size: 24px;">
+                    📺 ${verdict}
+                </h2>
+                ${rows}
+                <div style="margin-top: 12px; text-align: center; font-size: 13px; opacity: 0.8;">
+                    On-field decision: ${pending.decision.toUpperCase()} &nbsp;•&nbsp; Reviews left: ${reviewsLeft}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(notification);
+        
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+            if (drs.pending === pending) {
+                this.applyReviewDecision();
+            }
+        }, 4000);
+    }
+    
+    // Write the final decision into the ball state and complete the ball
+    applyReviewDecision() {
+        const drs = this.drsSystem;
+        const pending = drs.pending;
+        const review = this.ballState.review;
+        this.clearReview();
+        
+        if (review.overturned && review.decision === 'out') {
+            // Dead ball from the original not-out call - nothing scored afterwards counts
+            this.runningSystem.isRunning = false;
+            this.runningSystem.runState = 'idle';
+            this.ballState.ballType = 'wicket';
+            this.ballState.completionReason = pending.type;
+            this.ballState.fielder = pending.type === 'caught' ? this.getKeeperName() : null;
+            this.ballState.runsThisBall = 0;
+        } else if (review.overturned) {
+            this.ballState.ballType = 'normal';
+            this.ballState.completionReason = 'not_out';
+            this.ballState.fielder = null;
+            this.ballState.runsThisBall = 0;
+        }
+        
+        this.forceCompleteBall();
+    }
+    
+    // Drop any review in progress and put the camera back
+    clearReview() {
+        const drs = this.drsSystem;
+        this.removeReviewPrompt();
+        this.clearLBWProjection();
+        
+        const replay = drs.replay;
+        if (replay) {
+            this.scene.remove(replay.group);
+            replay.group.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+            if (replay.banner.parentNode) {
+                replay.banner.parentNode.removeChild(replay.banner);
+            }
+            this.camera.position.copy(replay.cameraPosition);
+            this.controls.target.copy(replay.controlsTarget);
+        }
+        
+        drs.replay = null;
+        drs.pending = null;
+    }
+    
+    // 'Wide', 'No ball + 2', '3 byes', ...
+    describeExtras(extras) {
+        const parts = [];
+        if (extras.wides) parts.push(extras.wides === 1 ? 'Wide' : `${extras.wides} wides`);
+        if (extras.noBalls) parts.push('No ball');
+        if (extras.byes) parts.push(extras.byes === 1 ? '1 bye' : `${extras.byes} byes`);
+        if (extras.legByes) parts.push(extras.legByes === 1 ? '1 leg bye' : `${extras.legByes} leg byes`);
+        return parts.join(' + ');
+    }
+    
+    // Umpire's signal (wide, no-ball, not out)
+    showExtraNotification(call, detail) {
+        const notification = document.createElement('div');
+        notification.innerHTML = `
+            <div style="
+                position: fixed;
+                top: 35%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                background: linear-gradient(135deg, #ffa500, #ff6b35);
+                color: white;
+                padding: 20px 30px;
+                border-radius: 15px;
+                font-family: Arial, sans-serif;
+                text-align: center;
+                z-index: 1000;
+                font-size: 20px;
+                font-weight: bold;
+                box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+            ">
+                <h2 style="margin: 0 0 8px 0;">☝️ ${call}!</h2>
+                <p style="margin: 0; font-size: 16px;">${detail}</p>
+            </div>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Remove notification after 2.5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 2500);
+    }
+
+    // Whether a dismissal can stand off the current delivery (free hit / no-ball: run out only)
+    isDismissalPossible(dismissalType) {
+        return this.matchEngine.isDismissalPossible(dismissalType, {
+            wide: this.ballState.wide,
+            noBall: Boolean(this.ballState.noBall)
+        });
+    }
+    
+    callNotOut(dismissalType) {
+        const reason = this.ballState.freeHit ? 'free hit' : this.ballState.noBall ? 'no-ball' : 'wide';
+        console.log(`🚫 NOT OUT (${reason}) - would have been ${dismissalType}`);
+        this.showExtraNotification(`NOT OUT (${reason.toUpperCase()})`, `Would have been ${dismissalType}`);
+    }
+    
+    // ✅ NEW: Free hit banner on the HUD while the next delivery is a free hit
+    updateFreeHitBanner() {
+        let banner = document.getElementById('freeHitBanner');
+        
+        if (!this.matchEngine.freeHit) {
+            if (banner) {
+                banner.remove();
+            }
+            return;
+        }
+        
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'freeHitBanner';
+            banner.style.cssText = `
+                position: fixed;
+                top: 20px;
+                left: 50%;
+                transform: translateX(-50%);
+                background: linear-gradient(135deg, #ffa500, #ff6b35);
+                border: 2px solid #ffd700;
+                border-radius: 12px;
+                padding: 10px 30px;
+                color: white;
+                font-family: 'Orbitron', Arial, sans-serif;
+                font-size: 22px;
+                font-weight: 900;
+                letter-spacing: 2px;
+                z-index: 150;
+                box-shadow: 0 0 25px rgba(255, 165, 0, 0.6);
+                text-align: center;
+            `;
+            banner.innerHTML = `
+                ⚡ FREE HIT ⚡
+                <div style="font-size: 12px; font-weight: 400; letter-spacing: 0;">Only a run out can dismiss the batter · no field changes</div>
+            `;
+            
+            const inGameUI = document.getElementById('inGameUI');
+            if (inGameUI) {
+                inGameUI.appendChild(banner);
+            } else {
+                document.body.appendChild(banner);
+            }
+        }
+    }
+
+    // ✅ NEW: Seeded random system methods
+    getSeedFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('daily')) {
+            return createDailySeed();
+        }
+        return params.get('seed');
+    }
+
+    setRandomSeed(seed) {
+        this.randomSystem.seed = String(seed);
+        this.randomSystem.deliveryNumber = 0;
+        this.randomSystem.streams.clear();
+        console.log(`🎲 Random seed: ${this.randomSystem.seed}`);
+    }
+
+    // Random stream for the current delivery: 'bowling', 'shot', 'batting', 'fielding', 'throw', 'catch' or 'match'
+    random(stream) {
+        const { seed, deliveryNumber, streams } = this.randomSystem;
+        if (!streams.has(stream)) {
+            streams.set(stream, new SeededRandom(`${seed}:${deliveryNumber}:${stream}`));
+        }
+        return streams.get(stream);
+    }
+
+    advanceRandomDelivery() {
+        this.randomSystem.deliveryNumber++;
+        this.randomSystem.streams.clear();
+    }
+
+    // Target Chase System Methods
+    startTargetChase(targetRuns = null, maxOvers = 2.0, seed = null) {
+        // ✅ NEW: Every chase gets its own seed (pass one in to replay a chase)
+        this.setRandomSeed(seed || createRandomSeed());
+        if (this.matchSystem.isActive) {
+            this.resetMatch();
+        }
+        
+        // Generate random target if none provided (realistic range for 2 overs)
+        if (targetRuns === null) {
+            targetRuns = this.random('match').int(15, 34); // 15-34 runs target
+        }
+        
+        // ✅ NEW: Fresh innings in the match engine for the chase
+        this.matchEngine.startInnings();
+        this.matchEngine.setTarget(targetRuns, maxOvers);
+        
+        this.targetSystem.isActive = true;
+        this.targetSystem.targetRuns = targetRuns;
+        this.targetSystem.maxOvers = maxOvers;
+        this.targetSystem.maxBalls = this.matchEngine.target.maxBalls;
+        this.targetSystem.gameStatus = 'playing';
+        this.targetSystem.gameOverReason = null;
+        
+        // Reset game score for fresh chase
+        this.syncScoreFromEngine();
+        this.updateTargetStats();
+        this.cricketScore.ballHasBeenHit = false; // ✅ Reset hit flag for new chase
+        
+        if (this.scorecardUI.isVisible) {
+            this.updateScorecardDisplay();
+        }
+        
+        console.log(`🎯 TARGET CHASE STARTED! Need ${targetRuns} runs in ${maxOvers} overs (${this.targetSystem.maxBalls} balls)`);
+        console.log(`📊 Required run rate: ${this.targetSystem.requiredRunRate.toFixed(2)} per over`);
+        
+        this.showTargetNotification();
+        this.updateCricketScore();
+    }
+
+    checkTargetChaseConditions() {
+        if (!this.targetSystem.isActive || this.targetSystem.gameStatus !== 'playing') {
             return;
         }
 
         // Update chase statistics
         this.updateTargetStats();
 
-        // Check win condition - target achieved
-        if (this.cricketScore.runs >= this.targetSystem.targetRuns) {
-            this.targetSystem.gameStatus = 'won';
-            this.targetSystem.gameOverReason = 'target_achieved';
-            console.log(`🏆 TARGET ACHIEVED! Won by ${10 - this.cricketScore.wickets} wickets with ${this.targetSystem.ballsRemaining} balls remaining!`);
-            this.showGameOverScreen('won', `Target achieved with ${this.targetSystem.ballsRemaining} balls remaining!`);
+        // ✅ NEW: Win/lose rules live in the match engine
+        const result = this.matchEngine.getResult();
+        if (!result) {
+            console.log(`📊 Chase update: Need ${this.targetSystem.runsNeeded} from ${this.targetSystem.ballsRemaining} balls (RRR: ${this.targetSystem.requiredRunRate.toFixed(2)})`);
             return;
         }
 
-        // Check lose conditions
+        this.targetSystem.gameStatus = result.status;
+        this.targetSystem.gameOverReason = result.reason;
+
+        switch (result.reason) {
+            case 'target_achieved':
+                console.log(`🏆 TARGET ACHIEVED! Won by ${result.wicketsInHand} wickets with ${result.ballsRemaining} balls remaining!`);
+                this.showGameOverScreen('won', `Target achieved with ${result.ballsRemaining} balls remaining!`);
+                break;
+            case 'overs_completed':
+                console.log(`💀 OVERS COMPLETED! Lost by ${result.shortfall} runs`);
+                this.showGameOverScreen('lost', `Failed by ${result.shortfall} runs`);
+                break;
+            case 'all_out':
+                console.log(`💀 ALL OUT! Lost by ${result.shortfall} runs`);
+                this.showGameOverScreen('lost', `All out! Failed by ${result.shortfall} runs`);
+                break;
+            case 'impossible':
+                console.log(`💀 MATHEMATICALLY IMPOSSIBLE! Need ${this.targetSystem.runsNeeded} from ${this.targetSystem.ballsRemaining} balls`);
+                this.showGameOverScreen('lost', `Target mathematically impossible!`);
+                break;
+        }
+    }
+
+    updateTargetStats() {
+        const chase = this.matchEngine.getChaseState();
+        this.targetSystem.runsNeeded = chase.runsNeeded;
+        this.targetSystem.ballsRemaining = chase.ballsRemaining;
+        this.targetSystem.oversRemaining = chase.oversRemaining;
+        this.targetSystem.requiredRunRate = chase.requiredRunRate;
+    }
+
+    showTargetNotification() {
+        const notification = document.createElement('div');
+        notification.innerHTML = `
+            <div style="
+                position: fixed;
+                top: 10%;
+                left: 50%;
+                transform: translateX(-50%);
+                background: linear-gradient(135deg, rgba(116, 144, 255, 0.95) 0%, rgba(116, 144, 255, 0.8) 100%);
+                color: white;
+                padding: 25px;
+                border-radius: 15px;
+                font-family: 'Orbitron', Arial, sans-serif;
+                text-align: center;
+                z-index: 1500;
+                font-size: 20px;
+                border: 3px solid #7490ff;
+                box-shadow: 0 0 30px rgba(116, 144, 255, 0.6);
+                animation: targetPulse 0.8s ease-in-out;
+            ">
+                <h2 style="margin: 0 0 15px 0; color: #ffffff; font-size: 28px;">🎯 TARGET CHASE</h2>
+                <p style="margin: 0 0 10px 0; font-size: 24px; font-weight: bold;">Need ${this.targetSystem.targetRuns} runs</p>
+                <p style="margin: 0 0 10px 0; font-size: 18px;">in ${this.targetSystem.maxOvers} overs (${this.targetSystem.maxBalls} balls)</p>
+                <p style="margin: 0; font-size: 16px; opacity: 0.9;">Required Rate: ${this.targetSystem.requiredRunRate.toFixed(2)} per over</p>
+            </div>
+            <style>
+                @keyframes targetPulse {
+                    0% { transform: translateX(-50%) scale(0.8); opacity: 0; }
+                    50% { transform: translateX(-50%) scale(1.05); opacity: 1; }
+                    100% { transform: translateX(-50%) scale(1); opacity: 1; }
+                }
+            </style>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Remove notification after 4 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 4000);
+    }
+
+    showGameOverScreen(result, message) {
+        const isWon = result === 'won';
+        const notification = document.createElement('div');
+        
+        notification.innerHTML = `
+            <div style="
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.9);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 2000;
+                backdrop-filter: blur(10px);
+            ">
+                <div style="
+                    background: ${isWon ? 'linear-gradient(135deg, rgba(76, 175, 80, 0.95) 0%, rgba(139, 195, 74, 0.9) 100%)' : 'linear-gradient(135deg, rgba(244, 67, 54, 0.95) 0%, rgba(255, 87, 34, 0.9) 100%)'};
+                    color: white;
+                    padding: 40px;
+                    border-radius: 20px;
+                    font-family: 'Orbitron', Arial, sans-serif;
+                    text-align: center;
+                    border: 3px solid ${isWon ? '#4caf50' : '#f44336'};
+                    box-shadow: 0 0 50px ${isWon ? 'rgba(76, 175, 80, 0.8)' : 'rgba(244, 67, 54, 0.8)'};
+                    animation: gameOverPulse 1s ease-in-out;
+                    max-width: 600px;
+                    margin: 20px;
+                ">
+                    <h1 style="margin: 0 0 20px 0; font-size: 42px; font-weight: 900;">
+                        ${isWon ? '🏆 VICTORY!' : '💀 GAME OVER'}
+                    </h1>
+                    <h2 style="margin: 0 0 15px 0; font-size: 24px; opacity: 0.9;">
+                        ${message}
+                    </h2>
+                    <div style="background: rgba(0, 0, 0, 0.3); padding: 20px; border-radius: 10px; margin: 20px 0;">
+                        <h3 style="margin: 0 0 10px 0; font-size: 18px;">Final Score</h3>
+                        <p style="margin: 0; font-size: 20px; font-weight: bold;">
+                            ${this.cricketScore.runs}/${this.cricketScore.wickets} (${this.cricketScore.overs.toFixed(1)} overs)
+                        </p>
+                        <p style="margin: 5px 0 0 0; font-size: 16px; opacity: 0.8;">
+                            Target: ${this.targetSystem.targetRuns} runs
+                        </p>
+                        <p style="margin: 10px 0 0 0; font-size: 14px; opacity: 0.8; user-select: all;">
+                            🎲 Seed: ${this.randomSystem.seed}
+                        </p>
+                    </div>
+                    <button onclick="window.restartTargetChase()" style="
+                        background: rgba(116, 144, 255, 0.9);
+                        border: 2px solid rgba(116, 144, 255, 1);
+                        color: white;
+                        padding: 15px 30px;
+                        border-radius: 10px;
+                        font-size: 18px;
+                        font-weight: 600;
+                        cursor: pointer;
+                        margin-right: 15px;
+                        font-family: inherit;
+                        transition: all 0.3s ease;
+                    " onmouseover="this.style.background='rgba(116, 144, 255, 1)'" onmouseout="this.style.background='rgba(116, 144, 255, 0.9)'">
+                        🔄 Play Again
+                    </button>
+                    <button onclick="window.replayTargetChase()" style="
+                        background: rgba(116, 144, 255, 0.5);
+                        border: 2px solid rgba(116, 144, 255, 1);
+                        color: white;
+                        padding: 15px 30px;
+                        border-radius: 10px;
+                        font-size: 18px;
+                        font-weight: 600;
+                        cursor: pointer;
+                        margin-right: 15px;
+                        font-family: inherit;
+                        transition: all 0.3s ease;
+                    " onmouseover="this.style.background='rgba(116, 144, 255, 1)'" onmouseout="this.style.background='rgba(116, 144, 255, 0.5)'">
+                        🔁 Replay Seed
+                    </button>
+                    <button onclick="window.quitToMenu()" style="
+                        background: rgba(255, 255, 255, 0.1);
+                        border: 2px solid rgba(255, 255, 255, 0.3);
+                        color: white;
+                        padding: 15px 30px;
+                        border-radius: 10px;
+                        font-size: 18px;
+                        font-weight: 600;
+                        cursor: pointer;
+                        font-family: inherit;
+                        transition: all 0.3s ease;
+                    " onmouseover="this.style.background='rgba(255, 255, 255, 0.2)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.1)'">
+                        🏠 Main Menu
+                    </button>
+                </div>
+            </div>
+            <style>
+                @keyframes gameOverPulse {
+                    0% { transform: scale(0.5); opacity: 0; }
+                    50% { transform: scale(1.05); opacity: 1; }
+                    100% { transform: scale(1); opacity: 1; }
+                }
+            </style>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Store reference for potential cleanup
+        this.gameOverScreen = notification;
+    }
+
+    resetTargetChase() {
+        this.targetSystem.isActive = false;
+        this.matchEngine.clearTarget();
+        this.targetSystem.gameStatus = 'playing';
+        this.targetSystem.gameOverReason = null;
+        
+        // Remove game over screen if present
+        if (this.gameOverScreen && this.gameOverScreen.parentNode) {
+            this.gameOverScreen.parentNode.removeChild(this.gameOverScreen);
+            this.gameOverScreen = null;
+        }
+        
+        console.log('🔄 Target chase reset');
+    }
+
+    // ✅ NEW: Limited-overs Match System Methods
+    startMatch(overs = 20, seed = null) {
+        // Every match gets its own seed (pass one in to replay the toss and every delivery)
+        this.setRandomSeed(seed || createRandomSeed());
+        
+        this.resetTargetChase();
+        this.removeMatchScreen();
+        this.clearAIBowlerTimers();
+        
+        this.matchSystem.isActive = true;
+        this.matchSystem.overs = overs;
+        this.matchSystem.tossWinner = null;
+        this.matchSystem.tossDecision = null;
+        this.matchSystem.status = 'toss';
+        this.matchSystem.result = null;
+        this.aiBatter.isActive = false;
         
-        // 1. All overs completed without reaching target
-        if (this.targetSystem.ballsRemaining <= 0) {
-            this.targetSystem.gameStatus = 'lost';
-            this.targetSystem.gameOverReason = 'overs_completed';
-            const shortfall = this.targetSystem.targetRuns - this.cricketScore.runs;
-            console.log(`💀 OVERS COMPLETED! Lost by ${shortfall} runs`);
-            this.showGameOverScreen('lost', `Failed by ${shortfall} runs`);
+        console.log(`🏆 ${overs}-OVER MATCH: ${this.matchTeams[0].teamName} vs ${this.matchTeams[1].teamName}`);
+        this.showTossScreen();
+    }
+
+    // Leave match mode (e.g. when switching to a target chase)
+    resetMatch() {
+        this.matchSystem.isActive = false;
+        this.matchSystem.status = 'idle';
+        this.matchSystem.result = null;
+        this.matchEngine.match = null;
+        this.aiBatter.isActive = false;
+        this.removeMatchScreen();
+    }
+
+    // Player calls the toss - the coin comes from the match seed, so a replay has the same toss
+    callToss(call) {
+        if (this.matchSystem.status !== 'toss' || this.matchSystem.tossWinner !== null) {
             return;
         }
+        
+        const matchRandom = this.random('match');
+        const coin = matchRandom.chance(0.5) ? 'heads' : 'tails';
+        const userTeam = this.matchSystem.userTeam;
+        const tossWinner = call === coin ? userTeam : 1 - userTeam;
+        this.matchSystem.tossWinner = tossWinner;
+        
+        console.log(`🪙 Called ${call}, coin landed ${coin} - ${this.matchTeams[tossWinner].teamName} won the toss`);
+        
+        if (tossWinner === userTeam) {
+            this.showTossDecisionScreen(coin);
+        } else {
+            // Computer captain decides
+            this.matchSystem.tossDecision = matchRandom.chance(0.5) ? 'bat' : 'bowl';
+            console.log(`🪙 ${this.matchTeams[tossWinner].teamName} chose to ${this.matchSystem.tossDecision} first`);
+            this.showTossResultScreen(coin);
+        }
+    }
 
-        // 2. All wickets lost (assuming 10 wickets to lose)
-        if (this.cricketScore.wickets >= 10) {
-            this.targetSystem.gameStatus = 'lost';
-            this.targetSystem.gameOverReason = 'all_out';
-            const shortfall = this.targetSystem.targetRuns - this.cricketScore.runs;
-            console.log(`💀 ALL OUT! Lost by ${shortfall} runs`);
-            this.showGameOverScreen('lost', `All out! Failed by ${shortfall} runs`);
+    chooseTossDecision(decision) {
+        if (this.matchSystem.status !== 'toss' || this.matchSystem.tossWinner !== this.matchSystem.userTeam) {
             return;
         }
+        this.matchSystem.tossDecision = decision;
+        console.log(`🪙 ${this.matchTeams[this.matchSystem.userTeam].teamName} chose to ${decision} first`);
+        this.beginMatch();
+    }
+
+    // Continue button on the toss result and innings break screens
+    continueMatch() {
+        if (this.matchSystem.status === 'toss' && this.matchSystem.tossDecision) {
+            this.beginMatch();
+        } else if (this.matchSystem.status === 'innings_break') {
+            this.startSecondInnings();
+        }
+    }
 
-        // 3. Mathematically impossible (need more runs than possible from remaining balls)
-        const maxPossibleRuns = this.targetSystem.ballsRemaining * 6; // Assume max 6 runs per ball
-        if (this.targetSystem.runsNeeded > maxPossibleRuns) {
-            this.targetSystem.gameStatus = 'lost';
-            this.targetSystem.gameOverReason = 'impossible';
-            console.log(`💀 MATHEMATICALLY IMPOSSIBLE! Need ${this.targetSystem.runsNeeded} but only ${maxPossibleRuns} possible`);
-            this.showGameOverScreen('lost', `Target mathematically impossible!`);
+    beginMatch() {
+        const { tossWinner, tossDecision, overs } = this.matchSystem;
+        const battingFirst = tossDecision === 'bat' ? tossWinner : 1 - tossWinner;
+        
+        this.matchEngine.startMatch({ teams: this.matchTeams, overs, battingFirst });
+        this.resetPitchWear(); // ✅ NEW: Fresh pitch for a new match
+        this.removeMatchScreen();
+        this.startMatchInnings();
+    }
+
+    startSecondInnings() {
+        const firstInnings = this.matchEngine.startSecondInnings();
+        this.removeMatchScreen();
+        
+        console.log(`🏏 ${firstInnings.teamName} made ${firstInnings.runs}/${firstInnings.wickets} - ${this.matchEngine.battingTeam.teamName} need ${this.matchEngine.target.targetRuns} to win`);
+        this.startMatchInnings();
+    }
+
+    // Hand the bat or the ball to the player for the innings the engine has just started
+    startMatchInnings() {
+        const engine = this.matchEngine;
+        const userTeamName = this.matchTeams[this.matchSystem.userTeam].teamName;
+        this.matchSystem.status = 'playing';
+        this.matchSystem.userBatting = engine.battingTeam.teamName === userTeamName;
+        
+        // Second innings is a chase - reuse the target display
+        this.targetSystem.isActive = engine.target.isActive;
+        if (engine.target.isActive) {
+            this.targetSystem.targetRuns = engine.target.targetRuns;
+            this.targetSystem.maxOvers = engine.target.maxOvers;
+            this.targetSystem.maxBalls = engine.target.maxBalls;
+            this.targetSystem.gameStatus = 'playing';
+            this.targetSystem.gameOverReason = null;
+            this.updateTargetStats();
+        } else {
+            const targetDisplay = document.getElementById('targetDisplay');
+            if (targetDisplay) {
+                targetDisplay.remove();
+            }
+        }
+        
+        this.syncScoreFromEngine();
+        this.cricketScore.ballHasBeenHit = false;
+        this.updateCricketScore();
+        if (this.scorecardUI.isVisible) {
+            this.updateScorecardDisplay();
+        }
+        
+        if (this.matchSystem.userBatting) {
+            this.aiBatter.isActive = false;
+            this.enableAIBowler();
+            setTimeout(() => {
+                this.initializeAIBowler();
+            }, 2000);
+        } else {
+            // Computer bats, player bowls with the digit keys
+            this.aiBatter.isActive = true;
+            this.disableAIBowler();
+            console.log('🎳 You are bowling - use digit keys 6-0 to deliver each ball');
+        }
+        
+        this.showInningsNotification();
+    }
+
+    checkMatchProgress() {
+        if (this.matchSystem.status !== 'playing') {
             return;
         }
-
-        console.log(`📊 Chase update: Need ${this.targetSystem.runsNeeded} from ${this.targetSystem.ballsRemaining} balls (RRR: ${this.targetSystem.requiredRunRate.toFixed(2)})`);
-    }
-
-    updateTargetStats() {
-        this.targetSystem.runsNeeded = this.targetSystem.targetRuns - this.cricketScore.runs;
-        this.targetSystem.ballsRemaining = this.targetSystem.maxBalls - this.cricketScore.balls;
-        this.targetSystem.oversRemaining = this.targetSystem.maxOvers - this.cricketScore.overs;
-        this.targetSystem.requiredRunRate = this.calculateRequiredRunRate();
-    }
-
-    calculateRequiredRunRate() {
-        if (this.targetSystem.oversRemaining <= 0) return 0;
-        return (this.targetSystem.runsNeeded / this.targetSystem.oversRemaining);
+        
+        const engine = this.matchEngine;
+        if (engine.target.isActive) {
+            this.updateTargetStats();
+        }
+        if (!engine.isInningsComplete()) {
+            return;
+        }
+        
+        if (engine.match.currentInnings === 1) {
+            this.matchSystem.status = 'innings_break';
+            console.log(`🏏 END OF INNINGS: ${engine.battingTeam.teamName} ${engine.score.runs}/${engine.score.wickets} (${engine.score.overs.toFixed(1)} overs)`);
+            setTimeout(() => {
+                this.showInningsBreakScreen();
+            }, 2500);
+        } else {
+            const result = engine.getMatchResult();
+            this.matchSystem.status = 'complete';
+            this.matchSystem.result = result;
+            this.aiBatter.isActive = false;
+            console.log(`🏆 MATCH OVER: ${result.description}`);
+            setTimeout(() => {
+                this.showMatchResultScreen(result);
+            }, 2500);
+        }
     }
 
-    showTargetNotification() {
+    showInningsNotification() {
+        const engine = this.matchEngine;
+        const inningsLabel = engine.match.currentInnings === 1 ? '1st Innings' : '2nd Innings';
+        const roleText = this.matchSystem.userBatting
+            ? 'You are batting - the AI bowls'
+            : 'You are bowling - use keys 6-0';
+        const chaseText = engine.target.isActive
+            ? `Need ${engine.target.targetRuns} to win from ${engine.target.maxBalls} balls`
+            : `${this.matchSystem.overs} overs`;
+        
         const notification = document.createElement('div');
         notification.innerHTML = `
             <div style="
@@ -4896,23 +7810,14 @@ class CricketGame {
                 font-family: 'Orbitron', Arial, sans-serif;
                 text-align: center;
                 z-index: 1500;
-                font-size: 20px;
                 border: 3px solid #7490ff;
                 box-shadow: 0 0 30px rgba(116, 144, 255, 0.6);
-                animation: targetPulse 0.8s ease-in-out;
             ">
-                <h2 style="margin: 0 0 15px 0; color: #ffffff; font-size: 28px;">🎯 TARGET CHASE</h2>
-                <p style="margin: 0 0 10px 0; font-size: 24px; font-weight: bold;">Need ${this.targetSystem.targetRuns} runs</p>
-                <p style="margin: 0 0 10px 0; font-size: 18px;">in ${this.targetSystem.maxOvers} overs (${this.targetSystem.maxBalls} balls)</p>
-                <p style="margin: 0; font-size: 16px; opacity: 0.9;">Required Rate: ${this.targetSystem.requiredRunRate.toFixed(2)} per over</p>
+                <h2 style="margin: 0 0 15px 0; color: #ffffff; font-size: 28px;">🏆 ${inningsLabel}</h2>
+                <p style="margin: 0 0 10px 0; font-size: 24px; font-weight: bold;">${engine.battingTeam.teamName} batting</p>
+                <p style="margin: 0 0 10px 0; font-size: 18px;">${chaseText}</p>
+                <p style="margin: 0; font-size: 16px; opacity: 0.9;">${roleText}</p>
             </div>
-            <style>
-                @keyframes targetPulse {
-                    0% { transform: translateX(-50%) scale(0.8); opacity: 0; }
-                    50% { transform: translateX(-50%) scale(1.05); opacity: 1; }
-                    100% { transform: translateX(-50%) scale(1); opacity: 1; }
-                }
-            </style>
         `;
         
         document.body.appendChild(notification);
@@ -4925,18 +7830,19 @@ class CricketGame {
         }, 4000);
     }
 
-    showGameOverScreen(result, message) {
-        const isWon = result === 'won';
-        const notification = document.createElement('div');
+    // Full-screen panel shared by the toss, innings break and result screens
+    showMatchScreen(content, accent = '116, 144, 255') {
+        this.removeMatchScreen();
         
-        notification.innerHTML = `
+        const screen = document.createElement('div');
+        screen.innerHTML = `
             <div style="
                 position: fixed;
                 top: 0;
                 left: 0;
                 width: 100%;
                 height: 100%;
-                background: rgba(0, 0, 0, 0.9);
+                background: rgba(0, 0, 0, 0.85);
                 display: flex;
                 align-items: center;
                 justify-content: center;
@@ -4944,91 +7850,134 @@ class CricketGame {
                 backdrop-filter: blur(10px);
             ">
                 <div style="
-                    background: ${isWon ? 'linear-gradient(135deg, rgba(76, 175, 80, 0.95) 0%, rgba(139, 195, 74, 0.9) 100%)' : 'linear-gradient(135deg, rgba(244, 67, 54, 0.95) 0%, rgba(255, 87, 34, 0.9) 100%)'};
+                    background: linear-gradient(135deg, rgba(${accent}, 0.95) 0%, rgba(${accent}, 0.8) 100%);
                     color: white;
                     padding: 40px;
                     border-radius: 20px;
                     font-family: 'Orbitron', Arial, sans-serif;
                     text-align: center;
-                    border: 3px solid ${isWon ? '#4caf50' : '#f44336'};
-                    box-shadow: 0 0 50px ${isWon ? 'rgba(76, 175, 80, 0.8)' : 'rgba(244, 67, 54, 0.8)'};
-                    animation: gameOverPulse 1s ease-in-out;
+                    border: 3px solid rgb(${accent});
+                    box-shadow: 0 0 50px rgba(${accent}, 0.8);
                     max-width: 600px;
                     margin: 20px;
                 ">
-                    <h1 style="margin: 0 0 20px 0; font-size: 42px; font-weight: 900;">
-                        ${isWon ? '🏆 VICTORY!' : '💀 GAME OVER'}
-                    </h1>
-                    <h2 style="margin: 0 0 15px 0; font-size: 24px; opacity: 0.9;">
-                        ${message}
-                    </h2>
-                    <div style="background: rgba(0, 0, 0, 0.3); padding: 20px; border-radius: 10px; margin: 20px 0;">
-                        <h3 style="margin: 0 0 10px 0; font-size: 18px;">Final Score</h3>
-                        <p style="margin: 0; font-size: 20px; font-weight: bold;">
-                            ${this.cricketScore.runs}/${this.cricketScore.wickets} (${this.cricketScore.overs.toFixed(1)} overs)
-                        </p>
-                        <p style="margin: 5px 0 0 0; font-size: 16px; opacity: 0.8;">
-                            Target: ${this.targetSystem.targetRuns} runs
-                        </p>
-                    </div>
-                    <button onclick="window.restartTargetChase()" style="
-                        background: rgba(116, 144, 255, 0.9);
-                        border: 2px solid rgba(116, 144, 255, 1);
-                        color: white;
-                        padding: 15px 30px;
-                        border-radius: 10px;
-                        font-size: 18px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        margin-right: 15px;
-                        font-family: inherit;
-                        transition: all 0.3s ease;
-                    " onmouseover="this.style.background='rgba(116, 144, 255, 1)'" onmouseout="this.style.background='rgba(116, 144, 255, 0.9)'">
-                        🔄 Play Again
-                    </button>
-                    <button onclick="window.quitToMenu()" style="
-                        background: rgba(255, 255, 255, 0.1);
-                        border: 2px solid rgba(255, 255, 255, 0.3);
-                        color: white;
-                        padding: 15px 30px;
-                        border-radius: 10px;
-                        font-size: 18px;
-                        font-weight: 600;
-                        cursor: pointer;
-                        font-family: inherit;
-                        transition: all 0.3s ease;
-                    " onmouseover="this.style.background='rgba(255, 255, 255, 0.2)'" onmouseout="this.style.background='rgba(255, 255, 255, 0.1)'">
-                        🏠 Main Menu
-                    </button>
+                    ${content}
                 </div>
             </div>
-            <style>
-                @keyframes gameOverPulse {
-                    0% { transform: scale(0.5); opacity: 0; }
-                    50% { transform: scale(1.05); opacity: 1; }
-                    100% { transform: scale(1); opacity: 1; }
-                }
-            </style>
         `;
         
-        document.body.appendChild(notification);
-        
-        // Store reference for potential cleanup
-        this.gameOverScreen = notification;
+        document.body.appendChild(screen);
+        this.matchScreen = screen;
     }
 
-    resetTargetChase() {
-        this.targetSystem.isActive = false;
-        this.targetSystem.gameStatus = 'playing';
-        this.targetSystem.gameOverReason = null;
-        
-        // Remove game over screen if present
-        if (this.gameOverScreen && this.gameOverScreen.parentNode) {
-            this.gameOverScreen.parentNode.removeChild(this.gameOverScreen);
-            this.gameOverScreen = null;
+    removeMatchScreen() {
+        if (this.matchScreen && this.matchScreen.parentNode) {
+            this.matchScreen.parentNode.removeChild(this.matchScreen);
         }
-        
-        console.log('🔄 Target chase reset');
+        this.matchScreen = null;
+    }
+
+    matchButton(label, onclick) {
+        return `
+            <button onclick="${onclick}" style="
+                background: rgba(0, 0, 0, 0.3);
+                border: 2px solid rgba(255, 255, 255, 0.6);
+                color: white;
+                padding: 15px 30px;
+                border-radius: 10px;
+                font-size: 18px;
+                font-weight: 600;
+                cursor: pointer;
+                margin: 5px;
+                font-family: inherit;
+                transition: all 0.3s ease;
+            " onmouseover="this.style.background='rgba(0, 0, 0, 0.5)'" onmouseout="this.style.background='rgba(0, 0, 0, 0.3)'">
+                ${label}
+            </button>
+        `;
+    }
+
+    showTossScreen() {
+        const [home, away] = this.matchTeams;
+        this.showMatchScreen(`
+            <h1 style="margin: 0 0 20px 0; font-size: 36px; font-weight: 900;">🪙 THE TOSS</h1>
+            <h2 style="margin: 0 0 10px 0; font-size: 22px;">${home.teamName} vs ${away.teamName}</h2>
+            <p style="margin: 0 0 25px 0; font-size: 16px; opacity: 0.9;">${this.matchSystem.overs} overs a side · You captain ${this.matchTeams[this.matchSystem.userTeam].teamName}</p>
+            ${this.matchButton('Heads', "window.callMatchToss('heads')")}
+            ${this.matchButton('Tails', "window.callMatchToss('tails')")}
+        `);
+    }
+
+    showTossDecisionScreen(coin) {
+        this.showMatchScreen(`
+            <h1 style="margin: 0 0 20px 0; font-size: 36px; font-weight: 900;">🪙 It's ${coin}!</h1>
+            <h2 style="margin: 0 0 25px 0; font-size: 22px;">You won the toss - bat or bowl?</h2>
+            ${this.matchButton('🏏 Bat first', "window.chooseMatchToss('bat')")}
+            ${this.matchButton('🎳 Bowl first', "window.chooseMatchToss('bowl')")}
+        `, '76, 175, 80');
+    }
+
+    showTossResultScreen(coin) {
+        const winner = this.matchTeams[this.matchSystem.tossWinner].teamName;
+        this.showMatchScreen(`
+            <h1 style="margin: 0 0 20px 0; font-size: 36px; font-weight: 900;">🪙 It's ${coin}!</h1>
+            <h2 style="margin: 0 0 25px 0; font-size: 22px;">${winner} won the toss and chose to ${this.matchSystem.tossDecision} first</h2>
+            ${this.matchButton('▶ Start Match', 'window.continueMatch()')}
+        `);
+    }
+
+    showInningsBreakScreen() {
+        const engine = this.matchEngine;
+        const score = engine.score;
+        const chasingTeam = engine.fieldingTeam.teamName;
+        this.showMatchScreen(`
+            <h1 style="margin: 0 0 20px 0; font-size: 36px; font-weight: 900;">☕ INNINGS BREAK</h1>
+            <h2 style="margin: 0 0 15px 0; font-size: 24px;">
+                ${engine.battingTeam.teamName} ${score.runs}/${score.wickets} (${score.overs.toFixed(1)} overs)
+            </h2>
+            <p style="margin: 0 0 25px 0; font-size: 18px; opacity: 0.9;">
+                ${chasingTeam} need ${score.runs + 1} runs to win from ${this.matchSystem.overs} overs
+            </p>
+            ${this.matchButton('▶ Start 2nd Innings', 'window.continueMatch()')}
+        `);
+    }
+
+    showMatchResultScreen(result) {
+        const userTeamName = this.matchTeams[this.matchSystem.userTeam].teamName;
+        const { tossWinner, tossDecision, overs } = this.matchSystem;
+        
+        let heading = '💀 DEFEAT';
+        let accent = '244, 67, 54';
+        if (result.status === 'tied') {
+            heading = '🤝 MATCH TIED';
+            accent = '116, 144, 255';
+        } else if (result.winner === userTeamName) {
+            heading = '🏆 VICTORY!';
+            accent = '76, 175, 80';
+        }
+        
+        const inningsRows = result.innings.map(innings => `
+            <p style="margin: 5px 0; font-size: 18px; font-weight: bold;">
+                ${innings.teamName} ${innings.runs}/${innings.wickets} (${innings.overs.toFixed(1)} overs)
+            </p>
+        `).join('');
+        
+        this.showMatchScreen(`
+            <h1 style="margin: 0 0 20px 0; font-size: 42px; font-weight: 900;">${heading}</h1>
+            <h2 style="margin: 0 0 15px 0; font-size: 24px; opacity: 0.9;">${result.description}</h2>
+            <div style="background: rgba(0, 0, 0, 0.3); padding: 20px; border-radius: 10px; margin: 20px 0;">
+                ${inningsRows}
+                <p style="margin: 10px 0 0 0; font-size: 14px; opacity: 0.8;">
+                    ${this.matchTeams[tossWinner].teamName} won the toss and chose to ${tossDecision}
+                </p>
+                <p style="margin: 10px 0 0 0; font-size: 14px; opacity: 0.8; user-select: all;">
+                    🎲 Seed: ${this.randomSystem.seed}
+                </p>
+            </div>
+            ${this.matchButton('🔄 New Match', `window.startMatch(${overs})`)}
+            ${this.matchButton('🔁 Replay Seed', 'window.replayMatch()')}
+            ${this.matchButton('🏠 Main Menu', 'window.quitToMenu()')}
+        `, accent);
     }
 
     resetBallTracking() {
@@ -5041,6 +7990,11 @@ class CricketGame {
     
     // Initialize AI Bowler after ball completion
     initializeAIBowler() {
+        // ✅ NEW: No deliveries between innings or once the match is decided
+        if (this.matchSystem.isActive && this.matchSystem.status !== 'playing') {
+            return;
+        }
+        
         if (!this.aiBowler.isEnabled) {
             console.log('🤖 AI Bowler is disabled - Manual bowling mode active');
             console.log('📋 Use digit keys 6-0 to bowl manually');
@@ -5095,28 +8049,39 @@ class CricketGame {
     
     // Select bowling variation based on AI strategy
     selectBowlingVariation() {
+        // ✅ NEW: Spinners bowl from their own repertoire (off-spinner, leg-spinner, ...)
+        const bowler = this.getCurrentBowlerProfile();
+        if (bowler && bowler.bowlingStyle === 'spin') {
+            const spinnerType = this.spinSystem.spinnerTypes[bowler.spinType] || this.spinSystem.spinnerTypes.offSpin;
+            const spinVariation = this.random('bowling').weighted(spinnerType.weights);
+            console.log(`🎯 AI selected: ${this.aiBowler.bowlingVariations[spinVariation].name} (${bowler.name}, ${spinnerType.name})`);
+            return spinVariation;
+        }
+        
         const strategy = this.aiBowler.strategies[this.aiBowler.bowlingStrategy];
         const weights = strategy.weights;
         
         // Apply game state modifiers
         const adjustedWeights = this.applyGameStateModifiers(weights);
         
-        // Weighted random selection
-        const totalWeight = Object.values(adjustedWeights).reduce((sum, weight) => sum + weight, 0);
-        let randomValue = Math.random() * totalWeight;
+        // Weighted random selection (seeded so deliveries replay exactly)
+        const variation = this.random('bowling').weighted(adjustedWeights);
         
-        for (const [variation, weight] of Object.entries(adjustedWeights)) {
-            randomValue -= weight;
-            if (randomValue <= 0) {
-                console.log(`🎯 AI selected: ${this.aiBowler.bowlingVariations[variation].name} (${strategy.name} strategy)`);
-                return variation;
-            }
+        if (variation) {
+            console.log(`🎯 AI selected: ${this.aiBowler.bowlingVariations[variation].name} (${strategy.name} strategy)`);
+            return variation;
         }
         
         // Fallback to straight delivery
         return 'straight';
     }
     
+    // Fielding XI entry (bowling style, spinner type) for the bowler of the current over
+    getCurrentBowlerProfile() {
+        const name = this.matchEngine.bowlingCard.currentBowler;
+        return this.matchEngine.getBowlingOptions().find(player => player.name === name) || null;
+    }
+    
     // Apply game state modifiers to bowling weights
     applyGameStateModifiers(baseWeights) {
         const adjustedWeights = { ...baseWeights };
@@ -5150,6 +8115,12 @@ class CricketGame {
             adjustedWeights.bouncer *= 1.1;
         }
         
+        // ✅ NEW: Attack with swing while the ball is doing something (new shine or reverse), otherwise hit the seam
+        const swingPotential = Math.abs(this.getBallCondition().swing);
+        adjustedWeights.outswinger *= 0.3 + 1.5 * swingPotential;
+        adjustedWeights.inswinger *= 0.3 + 1.5 * swingPotential;
+        adjustedWeights.seamer *= 1.5 - swingPotential;
+        
         return adjustedWeights;
     }
     
@@ -5157,11 +8128,12 @@ class CricketGame {
     updateGameStateAwareness() {
         const factors = this.aiBowler.gameStateFactors;
         
-        // Update balls in over
-        factors.ballsInOver = this.cricketScore.balls % 6;
+        // ✅ NEW: All factors are derived from the ball-by-ball log
+        factors.ballsInOver = this.matchEngine.score.balls % 6;
+        factors.runsThisOver = this.matchEngine.getRunsThisOver();
         
-        // Calculate runs this over
-        factors.runsThisOver = this.calculateRunsThisOver();
+        // Track recent boundaries (last 6 balls) before judging aggression
+        this.updateRecentBoundariesTracking();
         
         // Detect batsman aggression based on recent scoring rate
         factors.batsmanAggression = this.detectBatsmanAggression();
@@ -5169,19 +8141,9 @@ class CricketGame {
         // Check for pressure situations
         factors.pressureSituation = this.isPressureSituation();
         
-        // Track recent boundaries (last 6 balls)
-        this.updateRecentBoundariesTracking();
-        
         console.log(`🧠 AI Game Awareness: Over(${factors.ballsInOver}/6), Runs(${factors.runsThisOver}), Aggression(${factors.batsmanAggression}), Pressure(${factors.pressureSituation})`);
     }
     
-    // Calculate runs scored this over
-    calculateRunsThisOver() {
-        // This is a simplified calculation - in a full game you'd track ball-by-ball
-        const ballsInOver = this.cricketScore.balls % 6;
-        return Math.floor(Math.random() * (ballsInOver * 3)); // Placeholder for now
-    }
-    
     // Detect batsman's aggression level
     detectBatsmanAggression() {
         const recentBoundaries = this.aiBowler.gameStateFactors.recentBoundaries.length;
@@ -5205,23 +8167,15 @@ class CricketGame {
         return false;
     }
     
-    // Update tracking of recent boundaries
+    // Update tracking of recent boundaries (from the last 6 deliveries in the log)
     updateRecentBoundariesTracking() {
-        const boundaries = this.aiBowler.gameStateFactors.recentBoundaries;
-        
-        // Add current ball if it was a boundary
-        if (this.ballState.ballType === 'boundary') {
-            boundaries.push({
-                ball: this.cricketScore.balls,
-                runs: this.ballState.runsThisBall,
-                type: this.ballState.runsThisBall === 6 ? 'six' : 'four'
-            });
-        }
-        
-        // Keep only last 6 balls
-        this.aiBowler.gameStateFactors.recentBoundaries = boundaries.filter(
-            boundary => this.cricketScore.balls - boundary.ball < 6
-        );
+        this.aiBowler.gameStateFactors.recentBoundaries = this.matchEngine.getRecentEvents(6)
+            .filter(event => event.boundary)
+            .map(event => ({
+                ball: event.label,
+                runs: event.boundary,
+                type: event.boundary === 6 ? 'six' : 'four'
+            }));
     }
     
     // Create the bowling countdown display
@@ -5310,11 +8264,8 @@ class CricketGame {
         
         console.log(`🎳 AI Bowling: ${variation.name} - ${variation.description}`);
         
-        // Update AI statistics
-        this.updateAIBowlerStats(variationKey, variation);
-        
         // Execute the bowl
-        this.bowlBall(variation.direction.clone(), variation.speed);
+        this.bowlBall(variation.direction.clone(), variation.speed, variationKey);
         
         // Show bowling notification
         this.showBowlingNotification(variation);
@@ -5323,21 +8274,6 @@ class CricketGame {
         this.aiBowler.isActive = true;
     }
     
-    // Update AI bowler statistics
-    updateAIBowlerStats(variationKey, variation) {
-        const stats = this.aiBowler.stats;
-        
-        stats.ballsBowled++;
-        
-        // Track variation usage
-        if (!stats.variationCount[variationKey]) {
-            stats.variationCount[variationKey] = 0;
-        }
-        stats.variationCount[variationKey]++;
-        
-        console.log(`📊 AI Stats: ${stats.ballsBowled} balls, ${Object.keys(stats.variationCount).length} variations used`);
-    }
-    
     // Show bowling delivery notification
     showBowlingNotification(variation) {
         const notification = document.createElement('div');
@@ -5359,7 +8295,7 @@ class CricketGame {
         
         notification.innerHTML = `
             <div style="color: #7490ff; font-size: 16px; font-weight: bold;">
-                🤖 AI Bowler
+                🤖 AI Bowler${this.matchEngine.bowlingCard.currentBowler ? ` · ${this.matchEngine.bowlingCard.currentBowler}` : ''}
             </div>
             <div style="color: white; font-size: 18px; margin: 5px 0;">
                 ${variation.name}
@@ -5367,6 +8303,14 @@ class CricketGame {
             <div style="color: #ccc; font-size: 14px;">
                 ${variation.description}
             </div>
+            ${variation.seam ? `
+            <div style="color: #ccc; font-size: 12px; margin-top: 5px;">
+                ${this.describeBallCondition()}
+            </div>` : ''}
+            ${variation.style === 'spin' ? `
+            <div style="color: #ccc; font-size: 12px; margin-top: 5px;">
+                Pitch: ${this.describePitch()}
+            </div>` : ''}
             <div style="color: ${variation.difficulty === 'hard' ? '#ff6b6b' : variation.difficulty === 'medium' ? '#ffa500' : '#4ecdc4'}; font-size: 12px; margin-top: 5px;">
                 Difficulty: ${variation.difficulty.toUpperCase()}
             </div>
@@ -5549,11 +8493,13 @@ class CricketGame {
     
     // ✅ PUBLIC API: Get AI bowler statistics
     getAIBowlerStats() {
-        const stats = this.aiBowler.stats;
-        console.log('📊 AI Bowler Statistics:');
-        console.log(`  Balls Bowled: ${stats.ballsBowled}`);
-        console.log(`  Wickets Taken: ${stats.wicketsTaken}`);
-        console.log(`  Runs Given: ${stats.runsGiven}`);
+        // Derived from the ball-by-ball log - one row per bowler plus variation usage for the attack
+        const stats = this.matchEngine.getBowlerStats();
+        const card = this.matchEngine.bowlingCard;
+        console.log(`📊 ${card.teamName} Bowling:`);
+        card.bowlers.forEach(bowler => {
+            console.log(`  ${bowler.name}: ${bowler.overs.toFixed(1)}-${bowler.maidens}-${bowler.runs}-${bowler.wickets} (Econ ${bowler.economy.toFixed(2)})`);
+        });
         console.log(`  Boundaries Conceded: ${stats.boundariesConceded}`);
         console.log(`  Bowling Variations Used:`);
         
@@ -5562,11 +8508,31 @@ class CricketGame {
             console.log(`    ${this.aiBowler.bowlingVariations[variation].name}: ${count} (${percentage}%)`);
         });
         
-        return stats;
+        return {
+            bowlers: card.bowlers.map(bowler => ({ ...bowler })),
+            ...stats
+        };
+    }
+    
+    // ✅ NEW: Change bowler for the next over (no consecutive overs, per-format over limit)
+    changeBowler(name) {
+        if (!this.matchEngine.setBowler(name)) {
+            const available = this.matchEngine.getAvailableBowlers().map(player => player.name);
+            console.log(`⚠️ ${name} can't bowl this over - available: ${available.join(', ') || 'none'}`);
+            return false;
+        }
+        console.log(`🎳 ${name} will bowl this over`);
+        return true;
     }
     
     // ✅ NEW: Manual bowling method (respects AI toggle)
     manualBowl(variationKey, direction, speed) {
+        // ✅ NEW: No deliveries between innings or once the match is decided
+        if (this.matchSystem.isActive && this.matchSystem.status !== 'playing') {
+            console.log('⚠️ No innings in progress');
+            return;
+        }
+        
         // Check if AI is enabled
         if (this.aiBowler.isEnabled) {
             console.log('🤖 AI Bowler is enabled - Manual bowling blocked');
@@ -5590,7 +8556,7 @@ class CricketGame {
         }
         
         // Execute the bowl
-        this.bowlBall(direction, speed);
+        this.bowlBall(direction, speed, variation ? variationKey : null);
         
         // Show manual bowling notification
         if (variation) {
@@ -5686,6 +8652,102 @@ class CricketGame {
         }, 4000);
     }
 
+    // ✅ NEW: AI Batter System Methods
+    
+    // Called every frame while the computer's side bats: swing at the delivery, then call the runs
+    updateAIBatter() {
+        if (!this.aiBatter.isActive || !this.ballState.isActive || !this.cricketBall) return;
+        
+        if (this.cricketScore.ballHasBeenHit) {
+            this.updateAIBatterRunning();
+        } else {
+            this.updateAIBatterShot();
+        }
+    }
+    
+    updateAIBatterShot() {
+        if (this.aiBatter.shotPlayed || !this.ballPhysics.isMoving || !this.batCollisionSphere) return;
+        
+        // Only deliveries still coming towards the batsman
+        const velocity = this.ballPhysics.velocity;
+        if (velocity.z <= 0) return;
+        
+        const ball = this.cricketBall.position;
+        const timeToBat = (this.batCollisionSphere.position.z - ball.z) / velocity.z;
+        if (timeToBat < 0) return;
+        
+        // Lead time is drawn once per delivery so frame rate can't change the outcome of a seed
+        const battingRandom = this.random('batting');
+        if (this.aiBatter.leadTime === null) {
+            this.aiBatter.leadTime = this.aiBatter.swingLeadTime + battingRandom.spread(this.aiBatter.timingError);
+        }
+        if (timeToBat > this.aiBatter.leadTime) return;
+        
+        this.aiBatter.shotPlayed = true;
+        const lineX = (ball.x + velocity.x * timeToBat) * this.getHandSign();
+        const shotType = this.selectAIShot(lineX, battingRandom);
+        console.log(`🤖 AI Batter: ${this.shotTypes[shotType].description}`);
+        this.playShot(shotType);
+    }
+    
+    // Shot for the line of the delivery (+X is the off side); a steep chase brings out the big shots
+    selectAIShot(lineX, battingRandom) {
+        let weights;
+        if (lineX > 0.4) {
+            weights = { coverDrive: 3, cutShot: 2, squareCut: 2, lateCut: 1, defensive: 1 };
+        } else if (lineX < -0.4) {
+            weights = { pullShot: 3, legGlance: 2, onDrive: 2, hookShot: 1, defensive: 1 };
+        } else {
+            weights = { straightDrive: 3, onDrive: 2, coverDrive: 2, defensive: 2 };
+        }
+        
+        if (this.targetSystem.isActive && this.targetSystem.requiredRunRate > 9) {
+            weights = { ...weights, slog: 2, loftedStraight: 2 };
+            delete weights.defensive;
+        }
+        
+        return battingRandom.weighted(weights);
+    }
+    
+    // Run while the ball is loose; stay put once it has been fielded, caught or gone for a boundary
+    updateAIBatterRunning() {
+        const running = this.runningSystem;
+        if (this.cricketScore.boundaryAwarded || this.fieldingSystem.catchingSystem.catchInProgress) return;
+        if (this.ballState.ballType === 'wicket' || this.ballState.ballType === 'fielded') return;
+        if (running.isRunning || running.runState === 'turning' || this.bowlerReceivingSystem.isReceivingThrow) return;
+        if (this.runCalling.pending) return; // Waiting on the partner's answer
+        
+        if (this.aiBatter.hitTime === null) {
+            this.aiBatter.hitTime = Date.now();
+        }
+        
+        const ball = this.cricketBall.position;
+        
+        if (!running.waitingForNextRun) {
+            // First run: go as soon as the ball is clear of the bat, unless it was barely hit
+            const elapsed = (Date.now() - this.aiBatter.hitTime) / 1000;
+            if (running.runsCompleted > 0 || elapsed > this.aiBatter.firstRunWindow) return;
+            
+            const ballTravel = Math.hypot(ball.x, ball.z - this.runningSystem.wicketPositions.batsman.z);
+            if (ballTravel > 8 && this.runCalling.refusedRun !== running.runsCompleted) {
+                console.log('🤖 AI Batter: "Yes! Run!"');
+                this.callRun('yes');
+            }
+            return;
+        }
+        
+        // Another run? Decided once at each end
+        if (this.aiBatter.runsConsidered === running.runsCompleted) return;
+        this.aiBatter.runsConsidered = running.runsCompleted;
+        
+        if (Math.hypot(ball.x, ball.z) >= this.aiBatter.runDistance) {
+            console.log(`🤖 AI Batter: "Come back for ${running.runsCompleted + 1}!"`);
+            this.callRun('yes');
+        } else {
+            console.log('🤖 AI Batter: "No!" - staying in the crease');
+        }
+    }
+
     // Batting control methods (updated to use new shot system)
     playDefensiveShot() {
         return this.playShot('defensive');
@@ -5735,30 +8797,364 @@ class CricketGame {
     playLateCut() {
         return this.playShot('lateCut');
     }
-
-    playReverseSwep() {
-        return this.playShot('reverseSwep');
+
+    playReverseSwep() {
+        return this.playShot('reverseSwep');
+    }
+
+    playSlog() {
+        return this.playShot('slog');
+    }
+
+    playHelicopterShot() {
+        return this.playShot('helicopter');
+    }
+
+    // Power variation methods
+    playLightTap() {
+        return this.playShot('lightTap');
+    }
+
+    playMediumHit() {
+        return this.playShot('mediumHit');
+    }
+
+    playPowerShot() {
+        return this.playShot('powerShot');
+    }
+
+    // ✅ NEW: Shot placement mode
+    togglePlacementMode() {
+        const placement = this.shotPlacement;
+        placement.enabled = !placement.enabled;
+        
+        if (!placement.marker) {
+            placement.marker = new THREE.Mesh(
+                new THREE.RingGeometry(0.8, 1.2, 24),
+                new THREE.MeshBasicMaterial({ color: 0xffd93d, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+            );
+            placement.marker.rotation.x = -Math.PI / 2;
+            placement.marker.name = 'shotPlacementMarker';
+            this.scene.add(placement.marker);
+        }
+        placement.marker.visible = placement.enabled;
+        this.setPlacementAim(placement.aimPoint.x, placement.aimPoint.z);
+        
+        console.log(placement.enabled
+            ? '🎯 Shot placement ON - aim with the mouse or left stick, K / (A) to play along the ground, Shift+K / (RB+A) to loft it'
+            : '🎯 Shot placement OFF - back to the fixed shot keys');
+        return placement.enabled;
+    }
+    
+    setPlacementAim(x, z) {
+        const placement = this.shotPlacement;
+        const limit = this.FIELD_RADIUS - 2;
+        const distance = Math.hypot(x, z);
+        const scale = distance > limit ? limit / distance : 1;
+        placement.aimPoint.set(x * scale, 0, z * scale);
+        if (placement.marker) {
+            placement.marker.position.set(placement.aimPoint.x, 0.05, placement.aimPoint.z);
+        }
+    }
+    
+    // Mouse: aim where the pointer meets the ground
+    aimPlacementAtPointer(event) {
+        const pointer = new THREE.Vector2(
+            (event.clientX / window.innerWidth) * 2 - 1,
+            -(event.clientY / window.innerHeight) * 2 + 1
+        );
+        const raycaster = this.shotPlacement.raycaster;
+        raycaster.setFromCamera(pointer, this.camera);
+        
+        const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const intersection = new THREE.Vector3();
+        if (raycaster.ray.intersectPlane(groundPlane, intersection)) {
+            this.setPlacementAim(intersection.x, intersection.z);
+        }
+    }
+    
+    // Gamepad: the left stick points from the batter (up = straight back past the bowler), the deflection sets
+    // the distance. (A) plays the shot, held right bumper lofts it
+    updateGamepadAim() {
+        const placement = this.shotPlacement;
+        if (!placement.enabled || !navigator.getGamepads) return;
+        
+        const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected);
+        if (!gamepad) return;
+        
+        const [stickX = 0, stickY = 0] = gamepad.axes;
+        const deflection = Math.min(1, Math.hypot(stickX, stickY));
+        if (deflection > placement.stickDeadzone && this.character) {
+            const reach = placement.stickRange * deflection / Math.hypot(stickX, stickY);
+            this.setPlacementAim(this.character.position.x + stickX * reach, this.character.position.z + stickY * reach);
+        }
+        
+        const shotHeld = Boolean(gamepad.buttons[0] && gamepad.buttons[0].pressed);
+        if (shotHeld && !placement.gamepadShotHeld) {
+            this.playPlacedShot(Boolean(gamepad.buttons[5] && gamepad.buttons[5].pressed));
+        }
+        placement.gamepadShotHeld = shotHeld;
+    }
+    
+    // Build a shot from the aim: direction from the batter to the aim point, power and elevation from its distance
+    getPlacedShot(lofted) {
+        const placement = this.shotPlacement;
+        const batter = this.character ? this.character.position : new THREE.Vector3(0, 0, 9);
+        const toAim = new THREE.Vector3(placement.aimPoint.x - batter.x, 0, placement.aimPoint.z - batter.z);
+        const distance = Math.max(1, toAim.length());
+        const reach = Math.min(1, distance / (this.FIELD_RADIUS - 2));
+        
+        return lofted ? {
+            power: Math.min(3.0, Math.max(0.6, distance / placement.loftedMetresPerPower)),
+            direction: [toAim.x, 0, toAim.z],
+            height: 0.45 + 0.25 * reach,
+            spin: { top: -30, side: 0 },
+            description: 'Lofted Placed Shot'
+        } : {
+            power: Math.min(2.2, Math.max(0.4, distance / placement.groundMetresPerPower)),
+            direction: [toAim.x, 0, toAim.z],
+            height: 0.1 + 0.1 * reach,
+            spin: { top: 20, side: 0 },
+            description: 'Placed Shot'
+        };
+    }
+    
+    playPlacedShot(lofted = false) {
+        if (!this.shotPlacement.enabled || this.batSwing.isSwinging) return false;
+        
+        const shot = this.getPlacedShot(lofted);
+        console.log(`🏏 Playing ${shot.description} at (${this.shotPlacement.aimPoint.x.toFixed(1)}, ${this.shotPlacement.aimPoint.z.toFixed(1)})`);
+        
+        this.batSwing.isSwinging = true;
+        this.batSwing.shotType = 'placed';
+        this.batSwing.placedShot = shot;
+        this.batSwing.swingDirection.set(shot.direction[0], shot.direction[1], shot.direction[2]).normalize();
+        this.batSwing.swingPower = shot.power;
+        this.batSwing.swingStartTime = Date.now();
+        this.batSwing.batSpeed = shot.power * 15;
+        
+        this.playHittingAnimation();
+        return true;
+    }
+    
+    // ✅ NEW: Footwork - committed once per delivery, after it is bowled and before it reaches the bat
+    playFootwork(move) {
+        const footwork = this.footwork;
+        if (!footwork.offsets[move] || !this.character) return false;
+        if (!this.ballState.isActive || this.cricketScore.ballHasBeenHit || footwork.move !== null) return false;
+        
+        footwork.move = move;
+        footwork.targetZ = footwork.homeZ + footwork.offsets[move];
+        const label = { front: 'Front foot forward', back: 'Back and across', charge: 'Down the pitch!' }[move];
+        console.log(`👣 ${label}`);
+        return true;
+    }
+    
+    // Length of the delivery at contact: not pitched yet counts as full (which is why charging works)
+    getDeliveryLength() {
+        const pitchPoint = this.ballState.pitchPoint;
+        if (!pitchPoint) return 'full';
+        
+        const fromStumps = this.PITCH_LENGTH / 2 - pitchPoint.z;
+        return fromStumps < 4.5 ? 'full' : fromStumps < 7.5 ? 'good' : 'short';
+    }
+    
+    getFootworkMatchup() {
+        const matchup = this.footwork.matchups[this.footwork.move || 'none'];
+        return matchup[this.getDeliveryLength()];
+    }
+    
+    // Step into the shot; after missing a charge, turn and scramble back once the ball has gone past
+    updateFootwork(deltaTime) {
+        const footwork = this.footwork;
+        if (!this.character || this.runningSystem.isRunning) return;
+        
+        const ballPassed = this.cricketBall && !this.cricketScore.ballHasBeenHit &&
+            this.cricketBall.position.z > this.character.position.z;
+        if (ballPassed && this.ballState.shotOffered && !footwork.overbalanceChecked) {
+            this.checkOverbalance();
+        }
+        if (footwork.move === null && !footwork.overbalanced) return;
+        if (footwork.move === 'charge' && ballPassed && footwork.recoverIn === null && this.ballState.isActive && !this.ballState.isComplete) {
+            footwork.recoverIn = footwork.reactionTime;
+        }
+        
+        let speed = footwork.stepSpeed;
+        if (footwork.recoverIn !== null) {
+            footwork.recoverIn -= deltaTime;
+            if (footwork.recoverIn > 0) return; // Still stranded
+            footwork.targetZ = footwork.homeZ;
+            speed = footwork.recoverSpeed;
+        }
+        
+        const position = this.character.position;
+        const step = Math.min(Math.abs(footwork.targetZ - position.z), speed * deltaTime);
+        position.z += Math.sign(footwork.targetZ - position.z) * step;
+    }
+    
+    // ✅ NEW: Swinging hard and missing - the batter's weight can carry them forward out of the crease
+    checkOverbalance() {
+        const footwork = this.footwork;
+        const { minPower, chance, lurch, recoverTime } = footwork.overbalance;
+        footwork.overbalanceChecked = true;
+        if (this.batSwing.swingPower < minPower || !this.random('batting').chance(chance)) return false;
+        
+        footwork.overbalanced = true;
+        footwork.targetZ = Math.min(footwork.targetZ, this.character.position.z) - lurch;
+        footwork.recoverIn = Math.max(footwork.recoverIn ?? 0, recoverTime);
+        console.log(`🤸 Overbalanced! Big swing, missed, and the back foot has dragged out of the crease`);
+        return true;
     }
-
-    playSlog() {
-        return this.playShot('slog');
+    
+    // Turn the aimed line by up to the timing's aim error either way; returns the elevation scale
+    // (the same error applied to the height of the shot)
+    applyPlacementError(direction, timing) {
+        const shotRandom = this.random('shot');
+        const maxError = this.shotPlacement.aimError[timing] ?? this.shotPlacement.aimError.poor;
+        const angle = shotRandom.spread(2 * maxError);
+        direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+        
+        if (timing !== 'perfect') {
+            console.log(`🎯 ${timing.toUpperCase()} timing - placed shot ${(Math.abs(angle) * 180 / Math.PI).toFixed(0)}° off the aimed line`);
+        }
+        return 1 + shotRandom.spread(2 * maxError);
     }
 
-    playHelicopterShot() {
-        return this.playShot('helicopter');
+    // ✅ NEW: Striker's call for a run - 'yes', 'no' or 'wait'. The partner answers a yes (or makes the call
+    // themselves after a wait) from their own read of the run. Calling yes again after a "No!" sends the
+    // striker anyway and the partner stays put: a mix-up
+    callRun(call) {
+        const calling = this.runCalling;
+        const running = this.runningSystem;
+        if (!this.ballState.isActive || this.ballState.isComplete || this.cricketScore.boundaryAwarded) return false;
+        if (running.isRunning || running.runState === 'turning' || calling.pending || this.batSwing.isSwinging) return false;
+        
+        const team = this.battingTeam;
+        const strikerName = team.players[team.currentBatsman].name;
+        this.logRunCall(strikerName, call);
+        
+        if (call === 'no') {
+            return false;
+        }
+        
+        // Getting back after a mix-up - no need to ask
+        if (running.partnerStayedAt) {
+            return this.startRun();
+        }
+        
+        if (call === 'yes' && calling.refusedRun === running.runsCompleted) {
+            console.log(`😱 ${strikerName} sets off anyway - the partner stays in the crease!`);
+            running.partnerStayedAt = this.getOppositeEnd(running.currentEnd);
+            calling.caller = strikerName;
+            return this.startRun();
+        }
+        
+        const pending = { call, caller: strikerName };
+        calling.pending = pending;
+        const delay = call === 'wait' ? calling.lookTime : calling.responseTime;
+        setTimeout(() => {
+            if (calling.pending !== pending) return; // Ball finished or players reset meanwhile
+            calling.pending = null;
+            this.answerRunCall(pending);
+        }, delay * 1000);
+        return true;
     }
-
-    // Power variation methods
-    playLightTap() {
-        return this.playShot('lightTap');
+    
+    // Partner's answer to the striker's call: run if they think both batters make their ground in time
+    answerRunCall(pending) {
+        const running = this.runningSystem;
+        if (!this.ballState.isActive || this.ballState.isComplete || this.cricketScore.boundaryAwarded) return;
+        if (running.isRunning || running.runState === 'turning' || this.fieldingSystem.catchingSystem.catchInProgress) return;
+        
+        const team = this.battingTeam;
+        const partnerName = team.players[team.currentPartner].name;
+        const read = this.judgeRun();
+        console.log(`🤔 ${partnerName} reads the run (${read.fielder || 'no fielder'}): ${read.margin.toFixed(2)}s to spare`);
+        
+        if (read.margin < this.runCalling.safetyMargin) {
+            this.logRunCall(partnerName, 'no');
+            this.runCalling.refusedRun = running.runsCompleted;
+            return;
+        }
+        
+        this.logRunCall(partnerName, 'yes');
+        this.runCalling.caller = pending.call === 'wait' ? partnerName : pending.caller;
+        this.startRun();
     }
-
-    playMediumHit() {
-        return this.playShot('mediumHit');
+    
+    // Seconds the batters would have to spare on the next run: how long the fielder needs to get to the ball,
+    // gather and throw it to the nearer end, against the time to run between the creases. The partner's read
+    // is only an estimate - it carries a seeded error, so some calls are wrong
+    judgeRun() {
+        const calling = this.runCalling;
+        const ball = this.cricketBall.position;
+        const fielder = this.fieldingSystem.chasingFielder || this.fielders.reduce((nearest, candidate) =>
+            !nearest || candidate.position.distanceTo(ball) < nearest.position.distanceTo(ball) ? candidate : nearest, null);
+        
+        let fieldingTime = 0;
+        let arm = calling.defaultArm;
+        if (fielder) {
+            arm = fielder.userData.arm || calling.defaultArm;
+            
+            // The ball closes the gap too when it's coming towards the fielder
+            const toFielder = new THREE.Vector3(fielder.position.x - ball.x, 0, fielder.position.z - ball.z);
+            const gap = toFielder.length();
+            const ballSpeed = this.ballPhysics.isMoving
+                ? Math.max(0, this.ballPhysics.velocity.x * toFielder.x + this.ballPhysics.velocity.z * toFielder.z) / Math.max(gap, 0.01)
+                : 0;
+            fieldingTime = gap / (calling.fielderSpeed + ballSpeed) + calling.pickupTime;
+        }
+        
+        const wickets = this.runningSystem.wicketPositions;
+        const throwDistance = Math.min(
+            Math.hypot(ball.x - wickets.batsman.x, ball.z - wickets.batsman.z),
+            Math.hypot(ball.x - wickets.bowler.x, ball.z - wickets.bowler.z)
+        );
+        fieldingTime += throwDistance / arm;
+        
+        const runDistance = this.extrasSystem.poppingCreaseZ - this.extrasSystem.bowlerPoppingCreaseZ - this.footwork.groundingReach;
+        const runTime = runDistance / this.runningSystem.runSpeed + calling.responseTime;
+        
+        return {
+            margin: fieldingTime - runTime + this.random('batting').spread(calling.judgementError),
+            fielder: fielder ? fielder.userData.description : null
+        };
     }
-
-    playPowerShot() {
-        return this.playShot('powerShot');
+    
+    // Record a call for the ball summary and show it on screen
+    logRunCall(name, call) {
+        const text = `${name}: ${this.runCalling.callText[call]}`;
+        this.ballState.calls.push(text);
+        console.log(`📣 ${text}`);
+        
+        // One bubble at a time - the answer replaces the call
+        const previous = document.getElementById('runCallBubble');
+        if (previous) {
+            previous.remove();
+        }
+        const bubble = document.createElement('div');
+        bubble.id = 'runCallBubble';
+        bubble.style.cssText = `
+            position: fixed;
+            top: 70px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: rgba(0, 0, 0, 0.75);
+            color: ${call === 'no' ? '#ff6b6b' : call === 'yes' ? '#6bff8f' : '#ffd93d'};
+            padding: 8px 20px;
+            border-radius: 10px;
+            font-family: Arial, sans-serif;
+            font-size: 18px;
+            font-weight: bold;
+            z-index: 1200;
+        `;
+        bubble.textContent = `📣 ${text}`;
+        document.body.appendChild(bubble);
+        setTimeout(() => {
+            if (bubble.parentNode) {
+                bubble.parentNode.removeChild(bubble);
+            }
+        }, 1200);
     }
 
     // Running between wickets system
@@ -5784,7 +9180,14 @@ class CricketGame {
         // If waiting at the other end, run back
         if (this.runningSystem.waitingForNextRun) {
             this.runningSystem.waitingForNextRun = false;
+            
+            // ✅ NEW: Turning for another - the umpire checks the bat was grounded at this end
+            if (!this.groundingSystem.groundedTurn) {
+                this.judgeShortRun();
+            }
         }
+        this.groundingSystem.grounded = false;
+        this.groundingSystem.groundedTurn = true;
 
         this.runningSystem.isRunning = true;
         this.runningSystem.runState = 'running';
@@ -5799,6 +9202,11 @@ class CricketGame {
         
         console.log(`🏃‍♂️ Starting run from ${this.runningSystem.currentEnd} to ${this.runningSystem.targetEnd}`);
         
+        // ✅ NEW: The non-striker sets off at the same time (unless they've refused the run)
+        if (this.nonStriker && !this.runningSystem.partnerStayedAt) {
+            this.waitForAnimationAndPlay(this.nonStriker, 'runningcharacter', true);
+        }
+        
         // Load running animation if not already loaded
         if (!this.character.userData.animations || !this.character.userData.animations.has('runningcharacter')) {
             this.loadCharacterAnimation(this.character, 'runningcharacter.fbx', 'batsman');
@@ -5841,6 +9249,12 @@ class CricketGame {
         
         this.character.position.set(newX, 0, newZ);
         
+        // ✅ NEW: The AI batter runs the bat in as they come into the crease
+        if (this.aiBatter.isActive && !this.groundingSystem.grounded &&
+            this.getDistanceShortOfGround(this.runningSystem.targetEnd, newZ, 0) <= this.groundingSystem.aiGroundAt) {
+            this.groundBat();
+        }
+        
         // Make character face the direction they're running
         const direction = new THREE.Vector3(targetPos.x - currentPos.x, 0, targetPos.z - currentPos.z);
         if (direction.length() > 0) {
@@ -5848,6 +9262,47 @@ class CricketGame {
             const lookAtPos = this.character.position.clone().add(direction);
             this.character.lookAt(lookAtPos);
         }
+        
+        this.updateNonStriker();
+    }
+    
+    getOppositeEnd(end) {
+        return end === 'batsman' ? 'bowler' : 'batsman';
+    }
+    
+    // Where a batter is along their run: the striker (this.character) runs from currentEnd to targetEnd and the
+    // non-striker the other way, in their own lane to the side of the pitch
+    getRunnerPosition(runner) {
+        const running = this.runningSystem;
+        const stayed = runner === 'nonStriker' && running.partnerStayedAt;
+        const fromEnd = stayed ? running.partnerStayedAt
+            : runner === 'striker' ? running.currentEnd : this.getOppositeEnd(running.currentEnd);
+        const from = running.wicketPositions[fromEnd];
+        const to = running.wicketPositions[this.getOppositeEnd(fromEnd)];
+        const progress = running.isRunning && !stayed ? running.runProgress : 0;
+        const laneX = runner === 'striker' ? 0 : this.getNonStrikerLaneX();
+        
+        return new THREE.Vector3(
+            from.x + laneX,
+            0,
+            from.z + (to.z - from.z) * progress
+        );
+    }
+    
+    // Non-striker's side of the pitch - away from the bowler, so it flips with the field
+    getNonStrikerLaneX() {
+        return -this.runningSystem.nonStrikerLaneX * (this.handedness.field === 'left' ? -1 : 1);
+    }
+    
+    // Keep the non-striker's model in step with the run, always facing down the pitch to the other end
+    updateNonStriker() {
+        if (!this.nonStriker) return;
+        
+        const position = this.getRunnerPosition('nonStriker');
+        this.nonStriker.position.copy(position);
+        const homeEnd = this.runningSystem.partnerStayedAt || this.getOppositeEnd(this.runningSystem.currentEnd);
+        const facingEnd = this.getOppositeEnd(homeEnd);
+        this.nonStriker.lookAt(position.x, 0, this.runningSystem.wicketPositions[facingEnd].z);
     }
 
     completeRun() {
@@ -5862,7 +9317,17 @@ class CricketGame {
         // Swap current and target ends
         this.runningSystem.currentEnd = this.runningSystem.targetEnd;
         this.runningSystem.runProgress = 0;
-        this.runningSystem.runsCompleted++;
+        
+        // ✅ NEW: Mix-up - reaching the end the partner never left doesn't count, and neither does getting back
+        if (this.runningSystem.partnerStayedAt === this.runningSystem.currentEnd) {
+            console.log(`😱 Mix-up! Both batters at the ${this.runningSystem.currentEnd}'s end - one of them has to go back`);
+        } else if (this.runningSystem.partnerStayedAt) {
+            this.runningSystem.partnerStayedAt = null;
+            console.log('😅 Back in the ground - the mix-up is sorted out');
+        } else {
+            this.runningSystem.runsCompleted++;
+            this.groundingSystem.groundedTurn = this.groundingSystem.grounded;
+        }
         
         // Don't update score here - wait for ball completion
         console.log(`🏃‍♂️ Run ${this.runningSystem.runsCompleted} completed!`);
@@ -5871,6 +9336,12 @@ class CricketGame {
         this.runningSystem.runState = 'turning';
         this.runningSystem.turningAtEnd = true;
         
+        // ✅ NEW: Non-striker has made their ground at the other end
+        this.updateNonStriker();
+        if (this.nonStriker) {
+            this.playCricketPlayerAnimation(this.nonStriker, 'standingidle');
+        }
+        
         // Load turning animation if not already loaded
         if (!this.character.userData.animations || !this.character.userData.animations.has('leftturn')) {
             this.loadCharacterAnimation(this.character, 'leftturn.fbx', 'batsman');
@@ -5924,7 +9395,7 @@ class CricketGame {
         // Just go to idle after turn, don't auto-slide
         this.playCricketPlayerAnimation(this.character, 'standingidle');
         
-        console.log(`⏳ Waiting for next run command. Press SPACE to run back, L to slide! (Total runs: ${this.runningSystem.runsCompleted})`);
+        console.log(`⏳ Waiting for next run command. Press SPACE to run back! (Total runs: ${this.runningSystem.runsCompleted})`);
     }
 
     // Debug function to check what animations are available
@@ -5974,6 +9445,46 @@ class CricketGame {
         return true;
     }
 
+    // ✅ NEW: Ground the bat (L) over the popping crease the striker is running to, with the slide to show it. Only
+    // within groundingSystem.window of the crease - any earlier and there's nothing to ground it behind
+    groundBat() {
+        const running = this.runningSystem;
+        const grounding = this.groundingSystem;
+        if (!running.isRunning) {
+            return this.playSlideAnimation();
+        }
+        if (grounding.grounded) return false;
+        
+        const distance = this.getDistanceShortOfGround(running.targetEnd, this.character.position.z, 0);
+        if (distance > grounding.window) {
+            console.log(`🏏 Too early to ground the bat - ${distance.toFixed(1)}m from the crease`);
+            return false;
+        }
+        
+        grounding.grounded = true;
+        console.log(`🏏 Bat grounded at the ${running.targetEnd}'s end (${Math.max(0, distance).toFixed(1)}m out)`);
+        return this.playSlideAnimation();
+    }
+    
+    // ✅ NEW: Turned without grounding the bat - the umpire may call it one short, and that run doesn't count
+    judgeShortRun() {
+        const end = this.runningSystem.currentEnd;
+        if (!this.random('umpire').chance(this.groundingSystem.shortRunChance)) {
+            console.log(`👀 Bat not grounded at the ${end}'s end - the umpire lets it go`);
+            return false;
+        }
+        
+        this.ballState.shortRuns++;
+        console.log(`☝️ ONE SHORT! Bat not grounded at the ${end}'s end - run ${this.runningSystem.runsCompleted} doesn't count`);
+        this.showExtraNotification('ONE SHORT', `Bat not grounded at the ${end}'s end`);
+        return true;
+    }
+    
+    // Runs completed this ball, less any the umpire called one short
+    getRunsScored() {
+        return this.runningSystem.runsCompleted - this.ballState.shortRuns;
+    }
+
     resetRunningSystem() {
         this.runningSystem.isRunning = false;
         this.runningSystem.runState = 'idle';
@@ -5983,60 +9494,111 @@ class CricketGame {
         this.runningSystem.runsCompleted = 0;
         this.runningSystem.turningAtEnd = false;
         this.runningSystem.waitingForNextRun = false;
+        this.runningSystem.partnerStayedAt = null;
+        this.runCalling.pending = null;
+        this.runCalling.refusedRun = null;
+        this.runCalling.caller = null;
+        this.groundingSystem.grounded = false;
+        this.groundingSystem.groundedTurn = true;
         
         // Reset character position to batsman's end
         this.character.position.set(0, 0, 9);
         this.character.lookAt(0, 0, -10); // Face bowler
         
         this.playCricketPlayerAnimation(this.character, 'standingidle');
+        this.updateNonStriker();
+        if (this.nonStriker) {
+            this.playCricketPlayerAnimation(this.nonStriker, 'standingidle');
+        }
         
         console.log('🔄 Running system reset - batsman back at starting position');
     }
 
-    // ✅ NEW: Check if batsman is run out
-    checkForRunOut() {
-        // Run-out occurs when:
-        // 1. Batsman is currently running between wickets
-        // 2. Ball reaches the bowler/keeper before batsman completes the run
-        
+    // ✅ NEW: Check for a run out when the wicket is broken at one end ('bowler' or 'batsman').
+    // Whichever batter is nearer that end is the one whose ground it is - before they cross, that's the one who
+    // left it. Returns 'striker' or 'nonStriker' for the batter run out, or null
+    checkForRunOut(end = 'bowler') {
         console.log('🔍 DEBUG: checkForRunOut() called');
         console.log(`   Running state: isRunning=${this.runningSystem.isRunning}, runState=${this.runningSystem.runState}`);
         console.log(`   Run progress: ${(this.runningSystem.runProgress * 100).toFixed(1)}%`);
         console.log(`   Current end: ${this.runningSystem.currentEnd}, Target: ${this.runningSystem.targetEnd}`);
         
-        if (!this.runningSystem.isRunning) {
-            console.log('❌ No run-out - batsman not running');
-            return false; // Not running, can't be run out
+        if (!this.runningSystem.isRunning && !this.runningSystem.partnerStayedAt) {
+            console.log('❌ No run-out - batsmen not running');
+            return null; // Both batters are in their ground
         }
         
-        // Check if batsman is in the middle of a run (not at either end)
-        const runProgress = this.runningSystem.runProgress;
-        const isInMiddleOfRun = runProgress > 0 && runProgress < 1.0;
-        
-        console.log(`   Mid-run check: progress=${runProgress.toFixed(3)}, isInMiddle=${isInMiddleOfRun}`);
+        const { runner, z: runnerZ } = this.getRunnerAtRisk(end);
         
-        if (!isInMiddleOfRun) {
-            console.log(`🏃‍♂️ Batsman safe - completed run (progress: ${(runProgress * 100).toFixed(1)}%)`);
-            return false; // Batsman has completed the run safely
+        if (this.getDistanceShortOfGround(end, runnerZ, this.getGroundingReach(runner)) <= 0) {
+            console.log(`🏃‍♂️ ${runner === 'striker' ? 'Striker' : 'Non-striker'} safe - made their ground at the ${end}'s end`);
+            return null;
         }
         
-        // Batsman is mid-run when ball reached the bowler = RUN OUT!
-        console.log(`🏃‍♂️💥 RUN OUT detected! Batsman progress: ${(runProgress * 100).toFixed(1)}%`);
-        console.log(`   Current end: ${this.runningSystem.currentEnd}, Target: ${this.runningSystem.targetEnd}`);
-        return true;
+        console.log(`🏃‍♂️💥 RUN OUT detected at the ${end}'s end! ${runner === 'striker' ? 'Striker' : 'Non-striker'} short at z=${runnerZ.toFixed(2)}`);
+        return runner;
+    }
+
+    // Batter a broken wicket at this end would run out - whoever is nearer it. Returns {runner, z}
+    getRunnerAtRisk(end) {
+        const endZ = this.runningSystem.wicketPositions[end].z;
+        const strikerZ = this.getRunnerPosition('striker').z;
+        const nonStrikerZ = this.getRunnerPosition('nonStriker').z;
+        return Math.abs(strikerZ - endZ) <= Math.abs(nonStrikerZ - endZ)
+            ? { runner: 'striker', z: strikerZ }
+            : { runner: 'nonStriker', z: nonStrikerZ };
+    }
+    
+    // Metres a batter at z is short of their ground at this end (<= 0: in). In their ground once the bat,
+    // stretched out in front by reach, is over the popping crease
+    getDistanceShortOfGround(end, z, reach = this.footwork.groundingReach) {
+        return end === 'bowler'
+            ? (z - reach) - this.extrasSystem.bowlerPoppingCreaseZ
+            : this.extrasSystem.poppingCreaseZ - (z + reach);
+    }
+    
+    // ✅ NEW: The striker only has the full reach over the line once the bat is grounded - running it in late leaves
+    // them short for longer. The AI partner always grounds theirs
+    getGroundingReach(runner) {
+        return runner === 'striker' && !this.groundingSystem.grounded
+            ? this.groundingSystem.ungroundedReach
+            : this.footwork.groundingReach;
+    }
+    
+    // Seconds until the batter at risk at this end makes their ground there: 0 if they're in, and
+    // throwSystem.strandedTime if they're out of it but not heading that way (turning, or after a mix-up)
+    getTimeToGround(end) {
+        const running = this.runningSystem;
+        const { runner, z } = this.getRunnerAtRisk(end);
+        const short = this.getDistanceShortOfGround(end, z, this.getGroundingReach(runner));
+        if (short <= 0) return 0;
+        
+        const heading = running.isRunning && (runner === 'striker'
+            ? running.targetEnd === end
+            : !running.partnerStayedAt && running.currentEnd === end);
+        return heading ? short / running.runSpeed : this.throwSystem.strandedTime;
     }
 
     // ✅ NEW: Execute run-out wicket
-    executeRunOut() {
-        console.log(`🏃‍♂️💥 Executing RUN OUT! Batsman caught short of crease!`);
+    // runner: 'striker' or 'nonStriker'; end: where the wicket was broken; directHit: thrown down from the field
+    executeRunOut(runner = 'striker', end = 'bowler', directHit = false) {
+        const team = this.battingTeam;
+        const batter = team.players[runner === 'striker' ? team.currentBatsman : team.currentPartner];
+        const batterModel = runner === 'striker' ? this.character : this.nonStriker;
+        console.log(`🏃‍♂️💥 Executing RUN OUT! ${batter.name} caught short of the crease at the ${end}'s end!`);
         
         // Stop ball movement immediately
         this.ballPhysics.isMoving = false;
         this.ballPhysics.velocity.set(0, 0, 0);
+        this.endThrowPlay();
         
-        // Position ball in bowler's hands
-        this.cricketBall.position.copy(this.bowler.position);
-        this.cricketBall.position.y += 1.5;
+        // Position ball in the hands of whoever broke the wicket (a direct hit stays at the stumps)
+        const receiver = end === 'bowler' ? this.bowler : this.keeper;
+        if (receiver && !directHit) {
+            this.cricketBall.position.copy(receiver.position);
+            this.cricketBall.position.y += 1.5;
+        }
+        this.breakWicket(end === 'bowler' ? 1 : 0);
         
         // Clear ball trail for clean visual
         this.clearBallTrail();
@@ -6045,15 +9607,14 @@ class CricketGame {
         this.runningSystem.isRunning = false;
         this.runningSystem.runState = 'idle';
         
-        // ✅ Handle wicket scoring for run-out
-        this.cricketScore.wickets += 1;
-        console.log(`📊 RUN OUT! Wicket taken! Score: ${this.cricketScore.runs}/${this.cricketScore.wickets}`);
-        
         // ✅ Complete the ball immediately with run-out result
         if (this.ballState.isActive && !this.ballState.isComplete) {
             this.ballState.ballType = 'wicket';
             this.ballState.completionReason = 'run_out';
-            this.ballState.runsThisBall = this.runningSystem.runsCompleted; // Partial runs don't count in run-out
+            this.ballState.runsThisBall = this.getRunsScored(); // Partial runs don't count in run-out
+            this.ballState.fielder = this.fieldingSystem.thrower;
+            this.ballState.dismissedIndex = runner === 'striker' ? team.currentBatsman : team.currentPartner;
+            this.ballState.runOut = { batter: batter.name, blame: this.runCalling.caller, end };
             
             // Force complete the ball immediately (run-out has priority)
             setTimeout(() => {
@@ -6061,9 +9622,6 @@ class CricketGame {
             }, 500);
         }
         
-        // ✅ Show run-out notification
-        this.showRunOutNotification();
-        
         // Reset bowler receiving state
         this.bowlerReceivingSystem.isReceivingThrow = false;
         
@@ -6072,9 +9630,9 @@ class CricketGame {
         
         // Also show argument animation (batsman disagreeing with decision) if available
         setTimeout(() => {
-            if (this.character.userData.animations && this.character.userData.animations.has('standingarguing')) {
-                this.playCricketPlayerAnimationOnce(this.character, 'standingarguing', () => {
-                    this.playCricketPlayerAnimation(this.character, 'standingidle');
+            if (batterModel && batterModel.userData.animations && batterModel.userData.animations.has('standingarguing')) {
+                this.playCricketPlayerAnimationOnce(batterModel, 'standingarguing', () => {
+                    this.playCricketPlayerAnimation(batterModel, 'standingidle');
                 });
                 console.log('😤 Batsman argues with the umpire decision!');
             }
@@ -6097,15 +9655,24 @@ class CricketGame {
         // Clear ball trail for clean visual
         this.clearBallTrail();
         
+        // ✅ NEW: Free hit / no-ball - the stumps are hit but the batter is not out
+        if (!this.isDismissalPossible('bowled')) {
+            this.callNotOut('bowled');
+            if (this.ballState.isActive && !this.ballState.isComplete) {
+                this.ballState.ballType = 'normal';
+                this.ballState.completionReason = 'not_out';
+                setTimeout(() => {
+                    this.completeBall();
+                }, 500);
+            }
+            return;
+        }
+        
         // Stop any running or batting actions immediately - batsman is out
         this.runningSystem.isRunning = false;
         this.runningSystem.runState = 'idle';
         this.batSwing.isSwinging = false;
         
-        // ✅ Handle wicket scoring for bowled
-        this.cricketScore.wickets += 1;
-        console.log(`📊 BOWLED! Wicket taken! Score: ${this.cricketScore.runs}/${this.cricketScore.wickets}`);
-        
         // ✅ Complete the ball immediately with bowled result
         if (this.ballState.isActive && !this.ballState.isComplete) {
             this.ballState.ballType = 'wicket';
@@ -6145,21 +9712,21 @@ class CricketGame {
         
         // ✅ NEW: Track team loading progress
         this.teamLoadingState = {
-            totalMembers: 11, // 1 bowler + 1 keeper + 9 fielders
+            totalMembers: 12, // 1 bowler + 1 keeper + 9 fielders + the non-striker
             loadedMembers: 0
         };
         
-        // Define standard cricket fielding positions
+        // Define standard cricket fielding positions (arm: throwing speed in m/s)
         const fieldingPositions = [
-            { name: 'slip', x: 3, z: 14.5, description: 'First Slip' },
-            { name: 'gully', x: 12, z: 14.5, description: 'Gully' },
-            { name: 'point', x: 20, z: 10, description: 'Point' },
-            { name: 'cover', x: 20, z: -10, description: 'Cover' },
-            { name: 'mid_off', x: 8, z: -22, description: 'Mid Off' },
-            { name: 'mid_on', x: -8, z: -22, description: 'Mid On' },
-            { name: 'square_leg', x: -15, z: -8, description: 'Square Leg' },
-            { name: 'fine_leg', x: -12, z: 12, description: 'Fine Leg' },
-            { name: 'third_man', x: 30, z: 24, description: 'Third Man' }
+            { name: 'slip', x: 3, z: 14.5, description: 'First Slip', arm: 22 },
+            { name: 'gully', x: 12, z: 14.5, description: 'Gully', arm: 24 },
+            { name: 'point', x: 20, z: 10, description: 'Point', arm: 28 },
+            { name: 'cover', x: 20, z: -10, description: 'Cover', arm: 30 },
+            { name: 'mid_off', x: 8, z: -22, description: 'Mid Off', arm: 26 },
+            { name: 'mid_on', x: -8, z: -22, description: 'Mid On', arm: 25 },
+            { name: 'square_leg', x: -15, z: -8, description: 'Square Leg', arm: 26 },
+            { name: 'fine_leg', x: -12, z: 12, description: 'Fine Leg', arm: 30 },
+            { name: 'third_man', x: 30, z: 24, description: 'Third Man', arm: 32 }
         ];
         
         // Load bowler at bowling end
@@ -6168,6 +9735,9 @@ class CricketGame {
         // Load wicket keeper behind stumps
         this.loadWicketKeeper();
         
+        // ✅ NEW: Non-striker waiting at the bowler's end
+        this.loadNonStriker();
+        
         // Load fielders
         fieldingPositions.forEach((position, index) => {
             this.loadFielder(position, index);
@@ -6202,7 +9772,7 @@ class CricketGame {
         // Load bowler directly with idle animation
         loader.load('standingidle.fbx', (character) => {
             // Use the same scaling logic as the main character
-            this.setupCricketCharacter(character, 1, 0, -9, 0);
+            this.setupCricketCharacter(character, this.handedness.field === 'left' ? -1 : 1, 0, -9, 0);
             
             // Setup bowler info and animation system
             character.userData = {
@@ -6313,13 +9883,15 @@ class CricketGame {
             return;
         }
         
+        this.endThrowPlay();
+        
         // ✅ NEW: Check for run-out scenario
         console.log('🔍 About to check for run-out...');
-        const isRunOut = this.checkForRunOut();
+        const runOutBatter = this.checkForRunOut('bowler');
         
-        if (isRunOut) {
+        if (runOutBatter) {
             console.log(`🏃‍♂️💥 RUN OUT! Batsman caught short while running!`);
-            this.executeRunOut();
+            this.executeRunOut(runOutBatter, 'bowler');
             return;
         }
         
@@ -6393,11 +9965,47 @@ class CricketGame {
         });
     }
 
+    loadNonStriker() {
+        const loader = new FBXLoader();
+        loader.load('standingidle.fbx', (character) => {
+            const position = this.getRunnerPosition('nonStriker');
+            this.setupCricketCharacter(character, position.x, 0, position.z, null);
+            character.lookAt(position.x, 0, 10); // Facing down the pitch, ready to back up
+            
+            character.userData = {
+                description: 'non-striker',
+                animationMixer: new THREE.AnimationMixer(character),
+                animations: new Map()
+            };
+            
+            if (character.animations && character.animations.length > 0) {
+                const idleAction = character.userData.animationMixer.clipAction(character.animations[0]);
+                character.userData.animations.set('standingidle', idleAction);
+                idleAction.play();
+            }
+            
+            // Running animation ready for the first call
+            this.loadCharacterAnimation(character, 'runningcharacter.fbx', 'non-striker');
+            
+            this.nonStriker = character;
+            this.cricketCharacters.push(character);
+            this.scene.add(character);
+            
+            console.log('✅ Non-striker loaded at the bowler\'s end');
+            this.onTeamMemberLoaded('Non-striker');
+        }, undefined, (error) => {
+            console.log('❌ Could not load the non-striker - running with the striker only:', error);
+            this.onTeamMemberLoaded('Non-striker');
+        });
+    }
+
     loadFielder(position, index) {
         const loader = new FBXLoader();
         // Load fielder directly with idle animation
         loader.load('standingidle.fbx', (character) => {
             // Use the same scaling logic as the main character
+            // ✅ NEW: A fielder that finishes loading after a left-hander took strike goes to the mirrored spot
+            position = { ...position, x: this.handedness.field === 'left' ? -position.x : position.x };
             this.setupCricketCharacter(character, position.x, 0, position.z, null);
             
             // Make fielder face the batsman/center of pitch
@@ -6407,6 +10015,7 @@ class CricketGame {
             character.userData = {
                 fieldingPosition: position.name,
                 description: position.description,
+                arm: position.arm,
                 animationMixer: new THREE.AnimationMixer(character),
                 animations: new Map()
             };
@@ -6505,7 +10114,7 @@ class CricketGame {
         console.log('🔄 Loading bowler with fallback method (character.fbx + animation)');
         const loader = new FBXLoader();
         loader.load('character.fbx', (character) => {
-            this.setupCricketCharacter(character, 1, 0, -9, 0);
+            this.setupCricketCharacter(character, this.handedness.field === 'left' ? -1 : 1, 0, -9, 0);
             
             // Setup user data
             character.userData = {
@@ -6562,6 +10171,8 @@ class CricketGame {
         console.log(`🔄 Loading ${position.description} with fallback method (character.fbx + animation)`);
         const loader = new FBXLoader();
         loader.load('character.fbx', (character) => {
+            // ✅ NEW: A fielder that finishes loading after a left-hander took strike goes to the mirrored spot
+            position = { ...position, x: this.handedness.field === 'left' ? -position.x : position.x };
             this.setupCricketCharacter(character, position.x, 0, position.z, null);
             
             // Make fielder face the batsman/center of pitch
@@ -6570,7 +10181,8 @@ class CricketGame {
             // Store fielder info
             character.userData = {
                 fieldingPosition: position.name,
-                description: position.description
+                description: position.description,
+                arm: position.arm
             };
             
             // Store original position for return after fielding
@@ -6881,12 +10493,20 @@ class CricketGame {
                     this.character.position.x += moveSpeed;
                     break;
                 case 'Space':
-                    // Start running between wickets
-                    this.startRun();
+                    // ✅ NEW: Call for a run - the partner answers (calling again after a "No!" goes anyway)
+                    this.callRun('yes');
+                    break;
+                case 'KeyN':
+                    // ✅ NEW: Call "No!" - stay in the crease
+                    this.callRun('no');
+                    break;
+                case 'KeyM':
+                    // ✅ NEW: Call "Wait..." - leave the call to the partner
+                    this.callRun('wait');
                     break;
                 case 'KeyL':
-                    // Play slide animation
-                    this.playSlideAnimation();
+                    // ✅ NEW: Ground the bat coming into the crease (slide animation otherwise)
+                    this.groundBat();
                     break;
                 case 'KeyT':
                     // Reset running system (for testing)
@@ -6960,6 +10580,32 @@ class CricketGame {
                     // Play hitting animation
                     this.playHittingAnimation();
                     break;
+                case 'KeyP':
+                    // Toggle shot placement mode
+                    this.togglePlacementMode();
+                    break;
+                case 'KeyK':
+                    // Placed shot at the aim point (Shift lofts it)
+                    this.playPlacedShot(event.shiftKey);
+                    break;
+                case 'KeyI':
+                    // Front-foot stride
+                    this.playFootwork('front');
+                    break;
+                case 'KeyO':
+                    // Back-foot step
+                    this.playFootwork('back');
+                    break;
+                case 'KeyU':
+                    // Charge down the pitch
+                    this.playFootwork('charge');
+                    break;
+                case 'KeyY':
+                    // Review the umpire's decision (DRS)
+                    if (this.drsSystem.prompt) {
+                        this.startReview();
+                    }
+                    break;
                 
                 // Advanced off-side shots (ASDF row)
                 case 'KeyA':
@@ -7042,6 +10688,11 @@ class CricketGame {
         });
 
         document.addEventListener('mousemove', (event) => {
+            // ✅ NEW: Aim placed shots with the pointer
+            if (this.shotPlacement.enabled && !this.fielderPositioning.isActive) {
+                this.aimPlacementAtPointer(event);
+            }
+            
             if (!this.fielderPositioning.isActive) return;
             
             this.fielderPositioning.mousePosition.x = (event.clientX / window.innerWidth) * 2 - 1;
@@ -7089,11 +10740,26 @@ class CricketGame {
         // Check if ball enters bowler catch zone
         this.checkBowlerCatchZone();
         
+        // ✅ NEW: Keeper taking a throw, or a shy passing the stumps
+        this.checkThrowArrival();
+        
         // Update ball trail
         if (this.ballPhysics.isMoving) {
             this.updateBallTrail();
         }
         
+        // ✅ NEW: AI batter plays shots and runs while the computer's side bats
+        this.updateAIBatter();
+        
+        // ✅ NEW: DRS slow-motion replay
+        this.updateDRSReplay(deltaTime);
+        
+        // ✅ NEW: Gamepad aiming for shot placement
+        this.updateGamepadAim();
+        
+        // ✅ NEW: Batter's footwork (and scrambling back after a charge)
+        this.updateFootwork(deltaTime);
+        
         // Update batting system
         this.updateBatSwing();
         
@@ -7139,7 +10805,8 @@ class CricketGame {
         // ✅ NEW: Real-time catch detection for balls in flight
         if (!this.fieldingSystem.ballIsHit || 
             this.fieldingSystem.catchingSystem.catchInProgress ||
-            !this.ballPhysics.isMoving) {
+            !this.ballPhysics.isMoving ||
+            this.throwSystem.throwsThisBall > 0) { // ✅ NEW: Nobody is out caught off a throw
             return;
         }
 
@@ -7250,53 +10917,6 @@ class CricketGame {
         console.log('🎉 Catch wicket notification displayed');
     }
 
-    // ✅ NEW: Show run-out notification
-    showRunOutNotification() {
-        // Create a notification element for run-out
-        const notification = document.createElement('div');
-        notification.innerHTML = `
-            <div style="
-                position: fixed;
-                top: 20%;
-                left: 50%;
-                transform: translateX(-50%);
-                background: rgba(0, 0, 0, 0.9);
-                color: white;
-                padding: 20px;
-                border-radius: 10px;
-                font-family: Arial, sans-serif;
-                text-align: center;
-                z-index: 1000;
-                font-size: 20px;
-                border: 3px solid #ff6b35;
-                box-shadow: 0 0 20px rgba(255, 107, 53, 0.5);
-                animation: runOutPulse 0.6s ease-in-out;
-            ">
-                <h2 style="margin: 0 0 10px 0; color: #ff6b35; font-size: 28px;">🏃‍♂️💥 RUN OUT!</h2>
-                <p style="margin: 0; font-weight: bold;">Batsman caught short of crease!</p>
-                <p style="margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">Excellent fielding by the team!</p>
-            </div>
-            <style>
-                @keyframes runOutPulse {
-                    0% { transform: translateX(-50%) scale(0.8); opacity: 0; }
-                    50% { transform: translateX(-50%) scale(1.1); opacity: 1; }
-                    100% { transform: translateX(-50%) scale(1); opacity: 1; }
-                }
-            </style>
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Remove notification after longer time for run-out (more dramatic)
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 4000);
-        
-        console.log('🏃‍♂️💥 Run-out notification displayed');
-    }
-
     // ✅ NEW: Show bowled notification
     showBowledNotification() {
         // Create a notification element for bowled dismissal
@@ -7439,6 +11059,13 @@ class CricketGame {
     }
 
     enterFieldingMode() {
+        // ✅ NEW: The field can't be changed for a free hit
+        if (this.matchEngine.freeHit) {
+            console.log('⚡ Free hit - fielders can\'t be repositioned for this delivery');
+            this.showExtraNotification('FREE HIT', 'Field changes are not allowed');
+            return;
+        }
+        
         this.fielderPositioning.isActive = true;
         this.fielderPositioning.camera = this.camera; // Store camera reference
         
@@ -7481,6 +11108,8 @@ class CricketGame {
     }
 
     resetFielderPositions() {
+        if (this.matchEngine.freeHit) return; // ✅ NEW: Field is locked for a free hit
+        
         // Reset all fielders to default positions
         this.fielders.forEach((fielder) => {
             if (fielder && fielder.userData && fielder.userData.description) {
@@ -7550,6 +11179,8 @@ class CricketGame {
     }
 
     handleFielderSelection(event) {
+        if (this.matchEngine.freeHit) return; // ✅ NEW: Field is locked for a free hit
+        
         this.fielderPositioning.raycaster.setFromCamera(this.fielderPositioning.mousePosition, this.camera);
         
         // Check for fielder intersections
@@ -7749,13 +11380,49 @@ document.addEventListener('DOMContentLoaded', () => {
         window.bowlStraight = () => game.bowlBall(new THREE.Vector3(0, 0, 1), 15);
         window.bowlBouncer = () => game.bowlBall(new THREE.Vector3(0, 0.3, 1), 18);
         
+        // ✅ NEW: Bowl a spin variation yourself (offSpin, legSpin, googly, doosra, armBall)
+        window.bowlSpin = (variationKey = 'offSpin') => {
+            const variation = game.aiBowler.bowlingVariations[variationKey];
+            if (!variation || !variation.spin) {
+                console.log(`❌ Unknown spin variation: ${variationKey}`);
+                return;
+            }
+            game.manualBowl(variationKey, variation.direction.clone(), variation.speed);
+        };
+        
+        // ✅ NEW: Bowl a swing or seam delivery yourself (outswinger, inswinger, seamer)
+        window.bowlSwing = (variationKey = 'outswinger') => {
+            const variation = game.aiBowler.bowlingVariations[variationKey];
+            if (!variation || !variation.seam) {
+                console.log(`❌ Unknown swing/seam variation: ${variationKey}`);
+                return;
+            }
+            game.manualBowl(variationKey, variation.direction.clone(), variation.speed);
+        };
+        
         // ✅ NEW: Expose AI Bowler controls to console
         window.enableAIBowler = () => game.enableAIBowler();
         window.disableAIBowler = () => game.disableAIBowler();
         window.setAIBowlingStrategy = (strategy) => game.setAIBowlingStrategy(strategy);
         window.getAIBowlerStats = () => game.getAIBowlerStats();
+        window.changeBowler = (name) => game.changeBowler(name);
         window.humanBowlSelected = (variation) => game.humanBowlSelected(variation);
         
+        // ✅ NEW: Ball-by-ball log
+        window.showBallByBall = () => {
+            const events = game.matchEngine.getEvents();
+            console.log(`📜 Ball-by-ball (${events.length} deliveries):`);
+            events.forEach(event => {
+                const result = event.dismissal ? `WICKET (${event.dismissal.type})` : `${event.totalRuns} run${event.totalRuns === 1 ? '' : 's'}`;
+                const extras = event.extras ? ` [${game.describeExtras(event.extras)}]` : '';
+                const overthrows = event.overthrows ? ` (${event.overthrows} overthrows)` : '';
+                const shortRuns = event.shortRuns ? ` (${event.shortRuns} short)` : '';
+                const shot = event.shotType ? `${event.shotType} (${event.timing})` : 'no shot';
+                console.log(`  ${event.label} ${event.bowler} to ${event.striker}: ${result}${extras}${overthrows}${shortRuns} - ${event.variation || 'delivery'}, ${shot}`);
+            });
+            return events;
+        };
+        
         // ✅ NEW: Expose Multiplayer Bowling controls
         window.enableMultiplayerBowling = (playerId) => game.enableMultiplayerBowling(playerId);
         window.disableMultiplayerBowling = () => game.disableMultiplayerBowling();
@@ -7868,6 +11535,14 @@ document.addEventListener('DOMContentLoaded', () => {
         window.playMediumHit = () => game.playMediumHit();
         window.playPowerShot = () => game.playPowerShot();
         
+        // ✅ NEW: Shot placement - aim with the mouse, or aimShot(x, z) to aim at a point on the field
+        window.togglePlacementMode = () => game.togglePlacementMode();
+        window.aimShot = (x, z) => game.setPlacementAim(x, z);
+        window.playPlacedShot = (lofted = false) => game.playPlacedShot(lofted);
+        
+        // ✅ NEW: Footwork - 'front', 'back' or 'charge' after the ball is bowled
+        window.playFootwork = (move) => game.playFootwork(move);
+        
         // Shot system helpers
         window.playShot = (shotType) => game.playShot(shotType);
         window.listAllShots = () => {
@@ -8078,9 +11753,12 @@ document.addEventListener('DOMContentLoaded', () => {
         };
         
         window.setTestScore = (runs = 50, wickets = 3, overs = 12.4) => {
-            game.cricketScore.runs = runs;
-            game.cricketScore.wickets = wickets;
-            game.cricketScore.overs = overs;
+            const score = game.matchEngine.score;
+            score.runs = runs;
+            score.wickets = wickets;
+            score.balls = Math.floor(overs) * 6 + Math.round((overs % 1) * 10);
+            score.overs = overs;
+            game.syncScoreFromEngine();
             game.updateCricketScore();
             console.log(`🎯 Test score set: ${runs}/${wickets} in ${overs} overs`);
         };
@@ -8193,22 +11871,9 @@ document.addEventListener('DOMContentLoaded', () => {
         };
         
         window.resetTeamStats = () => {
-            // Reset all player stats
-            game.battingTeam.players.forEach(player => {
-                player.runs = 0;
-                player.ballsFaced = 0;
-                player.dismissal = null;
-                player.isOut = false;
-            });
-            
-            // Reset team position
-            game.battingTeam.currentBatsman = 0;
-            game.battingTeam.currentPartner = 1;
-            
-            // Reset extras
-            game.battingTeam.extras = {
-                byes: 0, legByes: 0, wides: 0, noBalls: 0, penalties: 0
-            };
+            // Fresh innings: clears the ball-by-ball log, batting card and bowling card
+            game.matchEngine.startInnings();
+            game.syncScoreFromEngine();
             
             // Update display
             if (game.scorecardUI.isVisible) {
@@ -8262,10 +11927,12 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Update total score to match
             const totalRuns = performances.reduce((sum, p) => sum + p.runs, 0) + 18; // +18 for extras
-            game.cricketScore.runs = totalRuns;
-            game.cricketScore.wickets = 7;
-            game.cricketScore.balls = 981; // 163.3 overs
-            game.cricketScore.overs = 163.3;
+            const score = game.matchEngine.score;
+            score.runs = totalRuns;
+            score.wickets = 7;
+            score.balls = 981; // 163.3 overs
+            score.overs = 163.3;
+            game.syncScoreFromEngine();
             
             // Update displays
             game.updateCricketScore();
@@ -8348,6 +12015,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         window.setTeamName = (name) => {
             game.battingTeam.teamName = name;
+            game.matchEngine.options.teamName = name;
             if (game.scorecardUI.isVisible) {
                 game.updateScorecardDisplay();
             }
@@ -9374,9 +13042,9 @@ document.addEventListener('DOMContentLoaded', () => {
         };
 
         // ✅ NEW: Target Chase System Global Functions
-        window.startTargetChase = (targetRuns = null, maxOvers = 2.0) => {
+        window.startTargetChase = (targetRuns = null, maxOvers = 2.0, seed = null) => {
             if (game) {
-                game.startTargetChase(targetRuns, maxOvers);
+                game.startTargetChase(targetRuns, maxOvers, seed);
             } else {
                 console.log('⚠️ Game not initialized yet');
             }
@@ -9392,6 +13060,54 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         };
 
+        // ✅ NEW: Replay the last chase with the same seed, target and overs
+        window.replayTargetChase = (seed = null) => {
+            if (game) {
+                const replaySeed = seed || game.randomSystem.seed;
+                const { targetRuns, maxOvers } = game.targetSystem;
+                game.resetTargetChase();
+                game.startTargetChase(seed ? null : targetRuns, maxOvers, replaySeed);
+            } else {
+                console.log('⚠️ Game not initialized yet');
+            }
+        };
+
+        // ✅ NEW: Daily challenge - everyone gets the same target and deliveries today
+        window.startDailyChallenge = () => {
+            if (game) {
+                game.resetTargetChase();
+                game.startTargetChase(null, 2.0, createDailySeed());
+            } else {
+                console.log('⚠️ Game not initialized yet');
+            }
+        };
+
+        // ✅ NEW: Limited-overs match (2, 5, 10, 20 or 50 overs a side)
+        window.startMatch = (overs = 20, seed = null) => {
+            if (game) {
+                game.startMatch(overs, seed);
+            } else {
+                console.log('⚠️ Game not initialized yet');
+            }
+        };
+
+        window.callMatchToss = (call) => game && game.callToss(call);
+        window.chooseMatchToss = (decision) => game && game.chooseTossDecision(decision);
+        window.continueMatch = () => game && game.continueMatch();
+        
+        // ✅ NEW: DRS review prompt
+        window.reviewDecision = () => game && game.drsSystem.prompt && game.startReview();
+        window.acceptDecision = () => game && game.drsSystem.prompt && game.declineReview();
+
+        // ✅ NEW: Replay the last match with the same seed (same toss and deliveries)
+        window.replayMatch = (seed = null) => {
+            if (game) {
+                game.startMatch(game.matchSystem.overs, seed || game.randomSystem.seed);
+            } else {
+                console.log('⚠️ Game not initialized yet');
+            }
+        };
+
         // ✅ NEW: Target Chase Demo Functions
         window.demoTargetChase = () => {
             console.log('🎯 TARGET CHASE DEMO');
@@ -9401,6 +13117,10 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('  startTargetChase() - Start with random target (15-34 runs in 2 overs)');
             console.log('  startTargetChase(25) - Chase specific target (25 runs)');
             console.log('  startTargetChase(30, 3.0) - Custom target and overs (30 runs in 3 overs)');
+            console.log("  startTargetChase(null, 2.0, 'K7Q2-9XM4') - Replay a chase from its seed");
+            console.log('  replayTargetChase() - Replay the last chase (same seed and target)');
+            console.log('  startDailyChallenge() - Same target and deliveries for everyone today');
+            console.log('  startMatch(20) - Full two-innings match with a toss (2, 5, 10, 20 or 50 overs)');
             console.log('');
             console.log('🏏 GAMEPLAY:');
             console.log('  • Bowl balls using: bowlStraight(), bowlLeft(), bowlRight()');
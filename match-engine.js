@@ -0,0 +1,791 @@
+// Cricket Match Engine - Headless scoring and match rules
+// Pure JavaScript with no Three.js, DOM or timer dependencies so the same
+// rules drive the 3D game and can be run (and tested) under Node.
+//
+//   import { MatchEngine } from './match-engine.js';
+//   const engine = new MatchEngine({
+//       battingTeam: { teamName: 'England', players: [{ name: 'A Cook', bats: 'left' }, 'S Robson', ...] },
+//       fieldingTeam: { teamName: 'India', players: [{ name: 'B Kumar', bowlingStyle: 'pace' }, ...] }
+//   });
+//   engine.setTarget(25, 2);
+//   engine.recordDelivery({ runs: 4 });
+//   engine.recordDelivery({ runs: 0, dismissal: 'bowled' });
+//   engine.getEvents();  // ball-by-ball log: [{ label: '0.1', striker, bowler, runs, ... }, ...]
+//   engine.getResult(); // null while the chase is still alive
+//
+//   // Full limited-overs match: first innings, then a chase of that score + 1
+//   engine.startMatch({ teams: [england, india], overs: 20, battingFirst: 0 });
+//   engine.isInningsComplete() && engine.startSecondInnings();
+//   engine.getMatchResult(); // { winner: 'India', description: 'India won by 4 wickets with 7 balls remaining', ... }
+
+export const BALLS_PER_OVER = 6;
+
+// Per-format limits on how many overs one bowler may bowl
+export const MATCH_FORMATS = {
+    T20: { overs: 20, bowlerOverLimit: 4 },
+    ODI: { overs: 50, bowlerOverLimit: 10 }
+};
+
+// Over limit per bowler for an innings of `inningsOvers` (a fifth of the innings, as in T20/ODI)
+export function getBowlerOverLimit(inningsOvers) {
+    if (!inningsOvers) {
+        return Infinity;
+    }
+    const format = Object.values(MATCH_FORMATS).find(entry => entry.overs === inningsOvers);
+    return format ? format.bowlerOverLimit : Math.ceil(inningsOvers / 5);
+}
+
+// Dismissals that are credited to the bowler on the bowling card
+export const BOWLER_DISMISSALS = ['bowled', 'caught', 'lbw', 'stumped', 'hit wicket'];
+
+// The only ways to be out off a wide or a no-ball
+export const ILLEGAL_DELIVERY_DISMISSALS = {
+    wide: ['stumped', 'run out', 'hit wicket'],
+    noBall: ['run out']
+};
+
+// DRS reviews each side starts an innings with. A review is only lost when the on-field decision is upheld
+export const REVIEWS_PER_INNINGS = 2;
+
+/**
+ * Outcome of a DRS review. The on-field decision stands on umpire's call; otherwise the evidence decides.
+ *
+ * @param {Object} review
+ * @param {string} review.original - On-field decision, 'out' or 'not out'
+ * @param {string} review.evidence - What ball tracking / edge detection shows, 'out' or 'not out'
+ * @param {boolean} [review.umpiresCall=false] - The evidence is too close to overrule the umpire
+ * @returns {{decision: string, overturned: boolean, umpiresCall: boolean, retained: boolean}}
+ */
+export function resolveReview({ original, evidence, umpiresCall = false }) {
+    const decision = umpiresCall ? original : evidence;
+    const overturned = decision !== original;
+    return { decision, overturned, umpiresCall, retained: overturned || umpiresCall };
+}
+
+// Runs from a delivery that count against the bowler (wides and no-balls, not byes or leg-byes)
+export function getBowlerRuns(event) {
+    const extras = event.extras || {};
+    return event.runs + (extras.wides || 0) + (extras.noBalls || 0);
+}
+
+// Convert a legal ball count to cricket overs notation (13 balls -> 2.1)
+export function ballsToOvers(balls) {
+    const completedOvers = Math.floor(balls / BALLS_PER_OVER);
+    const ballsInCurrentOver = balls % BALLS_PER_OVER;
+    return completedOvers + (ballsInCurrentOver / 10.0);
+}
+
+// Overs as a decimal number of overs (13 balls -> 2.1666) for rate calculations
+export function ballsToOverFraction(balls) {
+    return balls / BALLS_PER_OVER;
+}
+
+// Batting card row for a player given as a name or { name, bats, ratings } ('right' unless bats: 'left';
+// ratings are the player's 0-100 batting ratings, null when not given)
+function createBatter(player, index) {
+    const name = typeof player === 'string' ? player : player.name;
+    const bats = typeof player === 'string' ? 'right' : player.bats || 'right';
+    const ratings = typeof player === 'string' ? null : player.ratings || null;
+    return { name, bats, ratings, runs: 0, ballsFaced: 0, dismissal: null, dismissalDetails: null, isOut: false, position: index + 1 };
+}
+
+function createBowler(name) {
+    return { name, balls: 0, overs: 0, maidens: 0, runs: 0, wickets: 0, economy: 0, runsThisOver: 0 };
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+export class MatchEngine {
+    constructor(options = {}) {
+        this.setSides(options.battingTeam, options.fieldingTeam);
+
+        // Innings length in overs (null = unlimited, e.g. free play)
+        this.inningsOvers = options.maxOvers || null;
+
+        // Two-innings match state (null outside match mode - see startMatch)
+        this.match = null;
+
+        // Target chase limits (inactive until setTarget is called)
+        this.target = {
+            isActive: false,
+            targetRuns: 0,
+            maxOvers: 0,
+            maxBalls: 0
+        };
+
+        this.reviewsPerInnings = options.reviewsPerInnings ?? REVIEWS_PER_INNINGS;
+
+        this.startInnings();
+    }
+
+    // Team definitions for the side batting (this.options) and the side in the field
+    setSides(battingTeam = {}, fieldingTeam = {}) {
+        this.options = {
+            teamName: 'Batting XI',
+            matchDetails: 'Practice Match',
+            players: [],
+            ...battingTeam
+        };
+        this.fieldingTeam = {
+            teamName: 'Fielding XI',
+            players: [],
+            ...fieldingTeam
+        };
+    }
+
+    // Reset score, batting card and bowling card for a fresh innings
+    startInnings() {
+        this.score = {
+            runs: 0,
+            wickets: 0,
+            balls: 0,
+            overs: 0
+        };
+
+        this.battingTeam = {
+            teamName: this.options.teamName,
+            matchDetails: this.options.matchDetails,
+            currentBatsman: 0,
+            currentPartner: 1,
+            extras: {
+                byes: 0,
+                legByes: 0,
+                wides: 0,
+                noBalls: 0,
+                penalties: 0
+            },
+            players: this.options.players.map((player, index) => createBatter(player, index))
+        };
+
+        this.bowlingCard = {
+            teamName: this.fieldingTeam.teamName,
+            bowlers: [],          // Bowling card rows, in the order bowlers came on
+            currentBowler: null,  // Name of the bowler for the current over
+            previousBowler: null  // Bowled the last completed over - can't bowl the next one
+        };
+
+        // Append-only ball-by-ball log - the score and both cards are built from these entries
+        this.events = [];
+
+        // Next delivery is a free hit (after a front-foot no-ball)
+        this.freeHit = false;
+
+        // DRS reviews left for each side this innings
+        this.reviews = {
+            batting: this.reviewsPerInnings,
+            fielding: this.reviewsPerInnings
+        };
+
+        this.bowlingCard.currentBowler = this.selectNextBowler();
+
+        return this;
+    }
+
+    // Chase `targetRuns` within `maxOvers` overs
+    setTarget(targetRuns, maxOvers) {
+        this.inningsOvers = maxOvers;
+        this.target.isActive = true;
+        this.target.targetRuns = targetRuns;
+        this.target.maxOvers = maxOvers;
+        this.target.maxBalls = Math.floor(maxOvers * BALLS_PER_OVER);
+    }
+
+    clearTarget() {
+        this.target.isActive = false;
+    }
+
+    // Bowling card row for `name`, added the first time they bowl
+    getBowlerEntry(name) {
+        let bowler = this.bowlingCard.bowlers.find(entry => entry.name === name);
+        if (!bowler) {
+            bowler = createBowler(name);
+            this.bowlingCard.bowlers.push(bowler);
+        }
+        return bowler;
+    }
+
+    getCurrentBowler() {
+        const name = this.bowlingCard.currentBowler;
+        return name ? this.getBowlerEntry(name) : null;
+    }
+
+    // Players in the fielding XI who bowl
+    getBowlingOptions() {
+        return this.fieldingTeam.players.filter(player => player.bowlingStyle);
+    }
+
+    getBowlerOverLimit() {
+        return getBowlerOverLimit(this.inningsOvers);
+    }
+
+    // A bowler can't bowl consecutive overs or more than their over limit
+    canBowl(name) {
+        if (!this.getBowlingOptions().some(player => player.name === name)) {
+            return false;
+        }
+        if (name === this.bowlingCard.previousBowler) {
+            return false;
+        }
+        return this.getOversBowled(name) < this.getBowlerOverLimit();
+    }
+
+    getAvailableBowlers() {
+        return this.getBowlingOptions().filter(player => this.canBowl(player.name));
+    }
+
+    // Captain's choice for the next over: keep the same pair bowling from alternate ends
+    // while they have overs left, otherwise bring on whoever has bowled least - but never
+    // a choice that leaves the remaining overs impossible to cover without consecutive overs
+    selectNextBowler() {
+        const available = this.getAvailableBowlers();
+        if (available.length === 0) {
+            return null;
+        }
+
+        const overBeforeLast = this.getBowlerOfOver(Math.floor(this.score.balls / BALLS_PER_OVER) - 2);
+        const preferred = [...available].sort((a, b) => {
+            if (a.name === overBeforeLast) return -1;
+            if (b.name === overBeforeLast) return 1;
+            return this.getOversBowled(a.name) - this.getOversBowled(b.name);
+        });
+
+        const choice = preferred.find(player => this.canCompleteInningsAfter(player.name)) || preferred[0];
+        return choice.name;
+    }
+
+    getOversBowled(name) {
+        const entry = this.bowlingCard.bowlers.find(bowler => bowler.name === name);
+        return entry ? Math.floor(entry.balls / BALLS_PER_OVER) : 0;
+    }
+
+    // Whether the overs left after `name` bowls the next one can still be shared out
+    // (over limits, no bowler twice in a row)
+    canCompleteInningsAfter(name) {
+        if (!this.inningsOvers) {
+            return true;
+        }
+
+        const remainingOvers = this.inningsOvers - Math.floor(this.score.balls / BALLS_PER_OVER) - 1;
+        if (remainingOvers <= 0) {
+            return true;
+        }
+
+        const limit = this.getBowlerOverLimit();
+        const coverable = this.getBowlingOptions().reduce((sum, player) => {
+            const oversLeft = limit - this.getOversBowled(player.name) - (player.name === name ? 1 : 0);
+            // Alternating overs: a bowler can take at most every other over
+            const maxShare = player.name === name ? Math.floor(remainingOvers / 2) : Math.ceil(remainingOvers / 2);
+            return sum + Math.max(0, Math.min(oversLeft, maxShare));
+        }, 0);
+
+        return coverable >= remainingOvers;
+    }
+
+    // Choose the bowler for the current over. Returns false if the change isn't allowed.
+    setBowler(name) {
+        const overInProgress = this.score.balls % BALLS_PER_OVER !== 0;
+        if (overInProgress || !this.canBowl(name)) {
+            return false;
+        }
+        this.bowlingCard.currentBowler = name;
+        return true;
+    }
+
+    getBowlerOfOver(over) {
+        const event = this.events.find(entry => entry.over === over);
+        return event ? event.bowler : null;
+    }
+
+    getStriker() {
+        return this.battingTeam.players[this.battingTeam.currentBatsman];
+    }
+
+    getNonStriker() {
+        return this.battingTeam.players[this.battingTeam.currentPartner];
+    }
+
+    get maxWickets() {
+        return Math.max(this.battingTeam.players.length - 1, 0);
+    }
+
+    isAllOut() {
+        return this.score.wickets >= this.maxWickets;
+    }
+
+    /**
+     * Record the outcome of one delivery. The delivery is appended to the ball-by-ball
+     * event log and the score, batting card and bowling card are updated from that entry.
+     *
+     * @param {Object} outcome
+     * @param {number} [outcome.runs=0] - Runs scored on the delivery (run or boundary), excluding the 1-run wide/no-ball penalty
+     * @param {string|null} [outcome.extra=null] - 'wide', 'bye' or 'legBye' when the runs don't come off the bat
+     * @param {string|null} [outcome.noBall=null] - 'frontFoot' (overstep - next ball is a free hit) or 'height' (above-waist full toss)
+     * @param {string|null} [outcome.dismissal=null] - 'caught', 'bowled', 'run out', ...
+     * @param {number|null} [outcome.dismissedIndex=null] - Batter index when it isn't the striker (e.g. non-striker run out)
+     * @param {string|null} [outcome.wicketEnd=null] - Run out: end the wicket was broken at, 'batsman' (keeper's) or 'bowler'
+     * @param {string|null} [outcome.fielder=null] - Fielder involved in the dismissal
+     * @param {string|null} [outcome.variation=null] - Bowling variation key
+     * @param {string|null} [outcome.shotType=null] - Shot played (null if no shot)
+     * @param {string|null} [outcome.timing=null] - 'perfect', 'good', 'okay' or 'poor'
+     * @param {Object|null} [outcome.pitch=null] - {x, z} where the delivery pitched
+     * @param {Object|null} [outcome.landing=null] - {x, z} where the ball first landed after the shot
+     * @param {Object|null} [outcome.review=null] - DRS review of the decision: {side: 'batting'|'fielding', type, ...resolveReview()}
+     * @param {number} [outcome.overthrows=0] - Runs (included in outcome.runs) that came from throws getting past the stumps
+     * @param {number} [outcome.shortRuns=0] - Runs run but called one short (not in outcome.runs) - the batters still crossed
+     * @returns {Object} What happened: the logged event, wicket, strike changes, over completion and match result
+     */
+    recordDelivery(outcome = {}) {
+        const event = this.createEvent(outcome);
+        const before = this.battingTeam.currentBatsman;
+
+        this.events.push(event);
+        this.applyEvent(event);
+
+        const overComplete = event.legal && this.score.balls % BALLS_PER_OVER === 0;
+
+        return {
+            event,
+            runs: event.runs,
+            striker: event.striker,
+            bowler: event.bowler,
+            wicket: event.dismissal !== null,
+            dismissedPlayer: event.dismissal ? event.dismissal.batter : null,
+            strikeRotated: this.battingTeam.currentBatsman !== before && !event.dismissal,
+            overComplete,
+            nextBowler: this.bowlingCard.currentBowler,
+            result: this.getResult()
+        };
+    }
+
+    // Build an immutable log entry for a delivery from the current match state
+    createEvent(outcome) {
+        const runsScored = outcome.runs || 0;
+        const bowler = this.bowlingCard.currentBowler;
+        const over = Math.floor(this.score.balls / BALLS_PER_OVER);
+        const ball = (this.score.balls % BALLS_PER_OVER) + 1;
+
+        // Split the runs between the batter and the extras (a no-ball takes precedence over a wide)
+        const noBall = outcome.noBall === true ? 'frontFoot' : outcome.noBall || null;
+        const wide = outcome.extra === 'wide' && !noBall;
+        const extras = {};
+        let runs = runsScored;
+        if (wide) {
+            extras.wides = 1 + runsScored;
+            runs = 0;
+        } else {
+            if (noBall) {
+                extras.noBalls = 1;
+            }
+            if (outcome.extra === 'bye' || outcome.extra === 'legBye') {
+                extras[outcome.extra === 'bye' ? 'byes' : 'legByes'] = runsScored;
+                runs = 0;
+            }
+        }
+        const extrasTotal = Object.values(extras).reduce((sum, value) => sum + value, 0);
+
+        // Bowled or caught off a no-ball or a free hit is not out
+        const dismissalStands = outcome.dismissal &&
+            this.isDismissalPossible(outcome.dismissal, { wide, noBall: Boolean(noBall) });
+
+        let dismissal = null;
+        if (dismissalStands) {
+            const dismissedIndex = outcome.dismissedIndex ?? this.battingTeam.currentBatsman;
+            dismissal = Object.freeze({
+                type: outcome.dismissal,
+                batter: this.battingTeam.players[dismissedIndex].name,
+                bowler: bowler && BOWLER_DISMISSALS.includes(outcome.dismissal) ? bowler : null,
+                fielder: outcome.fielder || null,
+                end: outcome.wicketEnd || null
+            });
+        }
+
+        const copyPoint = point => point ? Object.freeze({ x: point.x, z: point.z }) : null;
+
+        return Object.freeze({
+            index: this.events.length,
+            over,
+            ball,
+            label: `${over}.${ball}`,
+            bowler,
+            striker: this.getStriker().name,
+            nonStriker: this.getNonStriker().name,
+            variation: outcome.variation || null,
+            shotType: outcome.shotType || null,
+            timing: outcome.timing || null,
+            runs,
+            extras: extrasTotal > 0 ? Object.freeze(extras) : null,
+            totalRuns: runs + extrasTotal,
+            legal: !wide && !noBall,
+            noBall,
+            freeHit: this.freeHit,
+            boundary: outcome.boundary || null,
+            overthrows: outcome.overthrows || 0,
+            shortRuns: outcome.shortRuns || 0,
+            dismissal,
+            pitch: copyPoint(outcome.pitch),
+            landing: copyPoint(outcome.landing),
+            review: outcome.review ? Object.freeze({ ...outcome.review }) : null
+        });
+    }
+
+    // Apply one log entry to the score, batting card and bowling card
+    applyEvent(event) {
+        const team = this.battingTeam;
+        const striker = team.players.find(player => player.name === event.striker);
+        const bowler = event.bowler ? this.getBowlerEntry(event.bowler) : null;
+        this.bowlingCard.currentBowler = event.bowler;
+
+        const extras = event.extras || {};
+
+        // Batter and bowler figures for this ball (a wide doesn't count as a ball faced)
+        striker.runs += event.runs;
+        if (!extras.wides) {
+            striker.ballsFaced++;
+        }
+        this.score.runs += event.totalRuns;
+
+        team.extras.wides += extras.wides || 0;
+        team.extras.noBalls += extras.noBalls || 0;
+        team.extras.byes += extras.byes || 0;
+        team.extras.legByes += extras.legByes || 0;
+
+        if (bowler) {
+            const bowlerRuns = getBowlerRuns(event);
+            bowler.runs += bowlerRuns;
+            bowler.runsThisOver += bowlerRuns;
+            if (event.legal) {
+                bowler.balls++;
+                bowler.overs = ballsToOvers(bowler.balls);
+            }
+            bowler.economy = bowler.balls > 0 ? bowler.runs / ballsToOverFraction(bowler.balls) : 0;
+        }
+
+        // Runs the batters actually ran (the 1-run wide/no-ball penalty isn't run, a run called short still was)
+        const runsRun = event.runs + (extras.byes || 0) + (extras.legByes || 0) + Math.max(0, (extras.wides || 0) - 1) +
+            (event.shortRuns || 0);
+
+        if (event.dismissal) {
+            this.score.wickets++;
+            if (bowler && event.dismissal.bowler) {
+                bowler.wickets++;
+            }
+            const dismissedIndex = team.players.findIndex(player => player.name === event.dismissal.batter);
+            this.recordDismissal(event.dismissal.type, dismissedIndex, event.dismissal);
+        } else if (runsRun % 2 === 1) {
+            // Batters crossed an odd number of times
+            this.swapBatsmen();
+        }
+
+        // A front-foot no-ball earns a free hit, which carries over until a legal delivery is bowled
+        if (event.noBall === 'frontFoot') {
+            this.freeHit = true;
+        } else if (event.legal) {
+            this.freeHit = false;
+        }
+
+        // An upheld review is lost (overturned and umpire's call reviews are retained)
+        if (event.review && !event.review.retained) {
+            this.reviews[event.review.side] = Math.max(0, this.reviews[event.review.side] - 1);
+        }
+
+        // Wides and no-balls are bowled again
+        if (!event.legal) {
+            return;
+        }
+
+        this.score.balls++;
+        this.score.overs = ballsToOvers(this.score.balls);
+
+        // End of over: maiden check and batters change ends
+        if (this.score.balls % BALLS_PER_OVER === 0) {
+            if (bowler) {
+                if (bowler.runsThisOver === 0 && bowler.balls % BALLS_PER_OVER === 0) {
+                    bowler.maidens++;
+                }
+                bowler.runsThisOver = 0;
+            }
+            this.swapBatsmen();
+
+            // Enforced change of bowler for the next over
+            this.bowlingCard.previousBowler = event.bowler;
+            this.bowlingCard.currentBowler = this.selectNextBowler();
+        }
+    }
+
+    // Whether `type` can dismiss a batter off the delivery in progress - off a wide only stumped, run out
+    // or hit wicket; off a no-ball or a free hit only a run out
+    isDismissalPossible(type, { wide = false, noBall = false } = {}) {
+        const restrictions = [];
+        if (wide) {
+            restrictions.push(ILLEGAL_DELIVERY_DISMISSALS.wide);
+        }
+        if (noBall || this.freeHit) {
+            restrictions.push(ILLEGAL_DELIVERY_DISMISSALS.noBall);
+        }
+        return restrictions.every(allowed => allowed.includes(type));
+    }
+
+    // Whether 'batting' or 'fielding' still has a DRS review this innings
+    canReview(side) {
+        return this.reviews[side] > 0;
+    }
+
+    // Rebuild the whole innings from a ball-by-ball log (e.g. a saved or shared match)
+    replayLog(events) {
+        const log = [...events];
+        this.startInnings();
+        log.forEach(event => {
+            this.events.push(event);
+            this.applyEvent(event);
+        });
+        return this;
+    }
+
+    // Log queries
+
+    getEvents() {
+        return this.events;
+    }
+
+    // Deliveries bowled so far in the over currently in progress
+    getCurrentOverEvents() {
+        const currentOver = Math.floor(this.score.balls / BALLS_PER_OVER);
+        return this.events.filter(event => event.over === currentOver);
+    }
+
+    getRunsThisOver() {
+        return this.getCurrentOverEvents().reduce((sum, event) => sum + event.totalRuns, 0);
+    }
+
+    getRecentEvents(count) {
+        return this.events.slice(-count);
+    }
+
+    // Figures for one bowler, or the whole attack when no name is given
+    getBowlerStats(name = null) {
+        const deliveries = this.events.filter(event => name === null || event.bowler === name);
+        const stats = {
+            ballsBowled: 0,
+            wicketsTaken: 0,
+            runsGiven: 0,
+            boundariesConceded: 0,
+            variationCount: {}
+        };
+
+        deliveries.forEach(event => {
+            if (event.legal) stats.ballsBowled++;
+            stats.runsGiven += getBowlerRuns(event);
+            if (event.boundary) stats.boundariesConceded++;
+            if (event.dismissal && event.dismissal.bowler) stats.wicketsTaken++;
+            if (event.variation) {
+                stats.variationCount[event.variation] = (stats.variationCount[event.variation] || 0) + 1;
+            }
+        });
+
+        return stats;
+    }
+
+    // details is the event's {type, batter, bowler, fielder} record, kept for the scorecard's how-out column
+    recordDismissal(dismissalType, playerIndex = this.battingTeam.currentBatsman, details = null) {
+        const player = this.battingTeam.players[playerIndex];
+        player.isOut = true;
+        player.dismissal = dismissalType;
+        player.dismissalDetails = details;
+
+        this.promoteNextBatsman(details ? details.end : null);
+    }
+
+    // Bring in the next batter after a wicket. Returns the new batter or null when nobody is left.
+    // end: where a run out's wicket was broken ('batsman' or 'bowler') - the new batter goes to that end
+    promoteNextBatsman(end = null) {
+        const team = this.battingTeam;
+        const nextIndex = team.players.findIndex((player, index) =>
+            !player.isOut && index !== team.currentBatsman && index !== team.currentPartner
+        );
+
+        if (nextIndex === -1) {
+            return null;
+        }
+
+        if (end) {
+            // Run out - the new batter takes the broken wicket's end, and whoever is at the batter's end faces
+            const survivor = team.players[team.currentBatsman].isOut ? team.currentPartner : team.currentBatsman;
+            team.currentBatsman = end === 'batsman' ? nextIndex : survivor;
+            team.currentPartner = end === 'batsman' ? survivor : nextIndex;
+        } else if (team.players[team.currentBatsman].isOut) {
+            // Striker is out - partner takes strike, new batter comes in at the other end
+            team.currentBatsman = team.currentPartner;
+            team.currentPartner = nextIndex;
+        } else {
+            // Non-striker is out - new batter takes the non-striker's end
+            team.currentPartner = nextIndex;
+        }
+
+        return team.players[nextIndex];
+    }
+
+    swapBatsmen() {
+        const team = this.battingTeam;
+        const temp = team.currentBatsman;
+        team.currentBatsman = team.currentPartner;
+        team.currentPartner = temp;
+    }
+
+    getChaseState() {
+        const runsNeeded = this.target.targetRuns - this.score.runs;
+        const ballsRemaining = this.target.maxBalls - this.score.balls;
+        const oversRemaining = ballsToOverFraction(ballsRemaining);
+
+        return {
+            targetRuns: this.target.targetRuns,
+            maxOvers: this.target.maxOvers,
+            maxBalls: this.target.maxBalls,
+            runsNeeded,
+            ballsRemaining,
+            oversRemaining,
+            requiredRunRate: oversRemaining > 0 ? runsNeeded / oversRemaining : 0
+        };
+    }
+
+    // Two-innings limited-overs match: teams[battingFirst] bats first and the other side chases
+    startMatch({ teams, overs, battingFirst = 0, matchDetails = null }) {
+        const details = matchDetails || `${overs}-over match`;
+        const sides = teams.map(team => ({ ...team, matchDetails: details }));
+
+        this.match = {
+            overs,
+            teams: sides,
+            battingFirst,
+            currentInnings: 1,
+            innings: [] // Summaries of completed innings
+        };
+
+        this.setSides(sides[battingFirst], sides[1 - battingFirst]);
+        this.clearTarget();
+        this.inningsOvers = overs;
+        this.startInnings();
+
+        return this;
+    }
+
+    // Close the first innings and set the chasing side a target of one more than it scored
+    startSecondInnings() {
+        const { teams, battingFirst, overs } = this.match;
+        const firstInnings = this.getInningsSummary();
+
+        this.match.innings.push(firstInnings);
+        this.match.currentInnings = 2;
+
+        this.setSides(teams[1 - battingFirst], teams[battingFirst]);
+        this.setTarget(firstInnings.runs + 1, overs);
+        this.startInnings();
+
+        return firstInnings;
+    }
+
+    // All out, overs used up, or (when chasing) target reached
+    isInningsComplete() {
+        if (this.isAllOut()) {
+            return true;
+        }
+        if (this.inningsOvers && this.score.balls >= Math.floor(this.inningsOvers * BALLS_PER_OVER)) {
+            return true;
+        }
+        return this.target.isActive && this.score.runs >= this.target.targetRuns;
+    }
+
+    // Snapshot of the current innings for the match record
+    getInningsSummary() {
+        return {
+            teamName: this.battingTeam.teamName,
+            runs: this.score.runs,
+            wickets: this.score.wickets,
+            balls: this.score.balls,
+            overs: this.score.overs,
+            battingCard: this.battingTeam.players.map(player => ({ ...player })),
+            bowlingCard: this.bowlingCard.bowlers.map(bowler => ({ ...bowler })),
+            events: [...this.events]
+        };
+    }
+
+    /**
+     * Result of a two-innings match once the chase is over.
+     *
+     * @returns {Object|null} {status: 'won'|'tied', winner, loser, margin, description, innings}
+     *   or null while the match is still in progress
+     */
+    getMatchResult() {
+        if (!this.match || this.match.currentInnings < 2 || !this.isInningsComplete()) {
+            return null;
+        }
+
+        const [firstInnings] = this.match.innings;
+        const innings = [firstInnings, this.getInningsSummary()];
+        const chasing = this.battingTeam.teamName;
+        const defending = firstInnings.teamName;
+
+        if (this.score.runs >= this.target.targetRuns) {
+            const wickets = this.maxWickets - this.score.wickets;
+            const balls = this.target.maxBalls - this.score.balls;
+            const ballsText = balls > 0 ? ` with ${plural(balls, 'ball')} remaining` : '';
+            return {
+                status: 'won',
+                winner: chasing,
+                loser: defending,
+                margin: { wickets, balls },
+                description: `${chasing} won by ${plural(wickets, 'wicket')}${ballsText}`,
+                innings
+            };
+        }
+
+        if (this.score.runs === firstInnings.runs) {
+            return { status: 'tied', winner: null, loser: null, margin: null, description: 'Match tied', innings };
+        }
+
+        const runs = firstInnings.runs - this.score.runs;
+        return {
+            status: 'won',
+            winner: defending,
+            loser: chasing,
+            margin: { runs },
+            description: `${defending} won by ${plural(runs, 'run')}`,
+            innings
+        };
+    }
+
+    // Match result for the current chase, or null while it is still in progress
+    getResult() {
+        if (!this.target.isActive) {
+            return null;
+        }
+
+        const chase = this.getChaseState();
+        const wicketsInHand = this.maxWickets - this.score.wickets;
+
+        if (chase.runsNeeded <= 0) {
+            return {
+                status: 'won',
+                reason: 'target_achieved',
+                wicketsInHand,
+                ballsRemaining: chase.ballsRemaining
+            };
+        }
+
+        if (chase.ballsRemaining <= 0) {
+            return { status: 'lost', reason: 'overs_completed', shortfall: chase.runsNeeded };
+        }
+
+        if (this.isAllOut()) {
+            return { status: 'lost', reason: 'all_out', shortfall: chase.runsNeeded };
+        }
+
+        // Even a six off every remaining ball isn't enough
+        if (chase.runsNeeded > chase.ballsRemaining * 6) {
+            return { status: 'lost', reason: 'impossible', shortfall: chase.runsNeeded };
+        }
+
+        return null;
+    }
+}
@@ -84,6 +84,36 @@ function showSinglePlayerOptions() {
                             <span>• Win/lose conditions</span>
                         </div>
                     </div>
+                    
+                    <div class="game-mode-card" onclick="startMatchMode()">
+                        <div class="mode-icon">🏆</div>
+                        <h3>Limited Overs Match</h3>
+                        <p>Toss, bat or bowl, then defend or chase!</p>
+                        <div class="mode-features">
+                            <span>• Two innings vs India</span>
+                            <span>• Bowl with keys 6-0 when India bat</span>
+                            <span>• Overs per side:
+                                <select id="matchOversSelect" class="setting-control" onclick="event.stopPropagation()">
+                                    <option value="2">2</option>
+                                    <option value="5" selected>5</option>
+                                    <option value="10">10</option>
+                                    <option value="20">20 (T20)</option>
+                                    <option value="50">50 (ODI)</option>
+                                </select>
+                            </span>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="mode-features" style="margin: 20px 0;">
+                    <span>Pitch:
+                        <select id="pitchTypeSelect" class="setting-control">
+                            <option value="flatRoad" selected>Flat road</option>
+                            <option value="greenSeamer">Green seamer</option>
+                            <option value="dustyTurner">Dusty turner</option>
+                            <option value="twoPaced">Two-paced</option>
+                        </select>
+                    </span>
                 </div>
                 
                 <button class="menu-btn back-btn" onclick="showGameModes()">
@@ -98,8 +128,15 @@ function showSinglePlayerOptions() {
     gameState.currentMenu = 'singlePlayerOptions';
 }
 
+// Pitch picked in the single player menu - the game reads it when it starts
+function rememberPitchChoice() {
+    const pitchSelect = document.getElementById('pitchTypeSelect');
+    window.pendingPitchType = pitchSelect ? pitchSelect.value : 'flatRoad';
+}
+
 function startFreePlay() {
     gameState.gameMode = 'freePlay';
+    rememberPitchChoice();
     showLoadingScreen();
     
     // Hide menus and show game immediately
@@ -119,6 +156,7 @@ function startFreePlay() {
 
 function startTargetChaseMode() {
     gameState.gameMode = 'targetChase';
+    rememberPitchChoice();
     showLoadingScreen();
     
     // Hide menus and show game immediately
@@ -140,6 +178,29 @@ function startTargetChaseMode() {
     gameState.isPlaying = true;
 }
 
+function startMatchMode() {
+    const oversSelect = document.getElementById('matchOversSelect');
+    const overs = oversSelect ? parseInt(oversSelect.value, 10) : 20;
+    
+    gameState.gameMode = 'match';
+    rememberPitchChoice();
+    showLoadingScreen();
+    
+    // Hide menus and show game immediately
+    hideAllMenus();
+    document.getElementById('gameContainer').style.display = 'block';
+    
+    // Initialize the game
+    if (window.startCricketGame) {
+        window.startCricketGame();
+    }
+    
+    // The game starts the toss after loading is complete
+    window.pendingMatch = { overs };
+    
+    gameState.isPlaying = true;
+}
+
 function showMultiplayerOptions() {
     // Placeholder for multiplayer functionality
     alert('Multiplayer mode coming soon! Stay tuned for online cricket matches.');
@@ -0,0 +1,86 @@
+// Seeded Random - Deterministic random numbers for gameplay
+// Every gameplay decision (bowling choice, mishits, shot variation, catches,
+// targets) draws from a SeededRandom so a match can be replayed from its seed.
+// Pure JavaScript - works in the browser and under Node.
+//
+//   import { SeededRandom } from './seeded-random.js';
+//   const rng = new SeededRandom('K7Q2-9XM4');
+//   rng.next();          // 0 <= n < 1
+//   rng.int(15, 34);     // inclusive integer range
+
+// Hash any string into a 32-bit unsigned integer (FNV-1a)
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Short human-readable seed (e.g. 'K7Q2-9XM4') for sharing and bug reports
+export function createRandomSeed() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let seed = '';
+    for (let i = 0; i < 8; i++) {
+        if (i === 4) seed += '-';
+        seed += alphabet[Math.floor(Math.random() * alphabet.length)];
+    }
+    return seed;
+}
+
+// Same seed for everyone on a given (UTC) day
+export function createDailySeed(date = new Date()) {
+    return `DAILY-${date.toISOString().slice(0, 10)}`;
+}
+
+export class SeededRandom {
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+    }
+
+    // Mulberry32 - fast, small state, good enough distribution for gameplay
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max] inclusive
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // Centred noise in [-magnitude / 2, magnitude / 2) - replaces (Math.random() - 0.5) * magnitude
+    spread(magnitude = 1) {
+        return (this.next() - 0.5) * magnitude;
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    // Pick a key from { key: weight } proportionally to its weight
+    weighted(weights) {
+        const entries = Object.entries(weights);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let randomValue = this.next() * totalWeight;
+
+        for (const [key, weight] of entries) {
+            randomValue -= weight;
+            if (randomValue <= 0) {
+                return key;
+            }
+        }
+        return entries.length > 0 ? entries[entries.length - 1][0] : null;
+    }
+}